@@ -17,6 +17,7 @@ class TextEditor {
     this.selection = { start: 0, end: 0 };
     this.fontName = 'Arial';
     this.fontSize = 12;
+    this.recorder = null; // Receives an operation for every change, see OperationHistory
   }
 
   /**
@@ -24,6 +25,9 @@ class TextEditor {
    * @param {string} text - Text to insert
    */
   write(text) {
+    const caret = this.captureCaret();
+    const edits = [{ type: 'insert', position: this.cursorPosition, text }];
+
     // Insert text at cursor position
     const before = this.content.substring(0, this.cursorPosition);
     const after = this.content.substring(this.cursorPosition);
@@ -36,6 +40,7 @@ class TextEditor {
     this.selection = { start: this.cursorPosition, end: this.cursorPosition };
 
     console.log(`Wrote text: "${text}"`);
+    this.record('write', edits, caret);
   }
 
   /**
@@ -43,7 +48,17 @@ class TextEditor {
    * @param {number} count - Number of characters to delete, default: 1
    */
   delete(count = 1) {
+    const caret = this.captureCaret();
+    let edits;
+
     if (this.hasSelection()) {
+      edits = [
+        {
+          type: 'remove',
+          position: this.selection.start,
+          text: this.content.substring(this.selection.start, this.selection.end),
+        },
+      ];
       // Delete the selected text
       const before = this.content.substring(0, this.selection.start);
       const after = this.content.substring(this.selection.end);
@@ -53,6 +68,13 @@ class TextEditor {
         `Deleted selected text (${this.selection.end - this.selection.start} characters)`
       );
     } else {
+      edits = [
+        {
+          type: 'remove',
+          position: this.cursorPosition,
+          text: this.content.substring(this.cursorPosition, this.cursorPosition + count),
+        },
+      ];
       // Delete characters after cursor
       const before = this.content.substring(0, this.cursorPosition);
       const after = this.content.substring(this.cursorPosition + count);
@@ -62,6 +84,7 @@ class TextEditor {
 
     // Reset selection
     this.selection = { start: this.cursorPosition, end: this.cursorPosition };
+    this.record('delete', edits, caret);
   }
 
   /**
@@ -71,9 +94,11 @@ class TextEditor {
    */
   select(startPosition, endPosition) {
     if (startPosition >= 0 && endPosition <= this.content.length && startPosition <= endPosition) {
+      const caret = this.captureCaret();
       this.selection = { start: startPosition, end: endPosition };
       this.cursorPosition = endPosition;
       console.log(`Selected text from position ${startPosition} to ${endPosition}`);
+      this.record('select', [], caret);
     } else {
       console.log('Invalid selection range');
     }
@@ -85,9 +110,11 @@ class TextEditor {
    */
   moveCursor(position) {
     if (position >= 0 && position <= this.content.length) {
+      const caret = this.captureCaret();
       this.cursorPosition = position;
       this.selection = { start: position, end: position };
       console.log(`Moved cursor to position ${position}`);
+      this.record('moveCursor', [], caret);
     } else {
       console.log('Invalid cursor position');
     }
@@ -107,9 +134,106 @@ class TextEditor {
    * @param {number} fontSize - Font size
    */
   changeFont(fontName, fontSize) {
+    const caret = this.captureCaret();
+    const font = { fontName: this.fontName, fontSize: this.fontSize };
     this.fontName = fontName;
     this.fontSize = fontSize;
     console.log(`Changed font to ${fontName}, ${fontSize}px`);
+    this.record('changeFont', [], caret, font);
+  }
+
+  /**
+   * Set the object notified of every change as an operation
+   * @param {Object|null} recorder - Object with a record(operation) method, or null
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
+  /**
+   * Copy the cursor position and selection
+   * @returns {Object} The caret state
+   */
+  captureCaret() {
+    return { cursorPosition: this.cursorPosition, selection: { ...this.selection } };
+  }
+
+  /**
+   * Pass a change to the recorder as an invertible operation
+   * Only the edited text is stored, never the whole content.
+   * @param {string} name - Name of the editing method
+   * @param {Array} edits - Text inserted or removed, in the order they were applied
+   * @param {Object} caretBefore - Caret state before the change
+   * @param {Object} fontBefore - Font before the change, if the font changed
+   */
+  record(name, edits, caretBefore, fontBefore = null) {
+    if (!this.recorder) {
+      return;
+    }
+
+    this.recorder.record(
+      new TextEditorOperation(
+        name,
+        edits,
+        { from: caretBefore, to: this.captureCaret() },
+        fontBefore
+          ? { from: fontBefore, to: { fontName: this.fontName, fontSize: this.fontSize } }
+          : null
+      )
+    );
+  }
+
+  /**
+   * Apply an operation (for redo)
+   * @param {TextEditorOperation} operation - The operation to apply
+   */
+  applyOperation(operation) {
+    const { edits, caret, font } = operation.getState();
+    edits.forEach((edit) => this.applyEdit(edit.type, edit.position, edit.text));
+    this.setCaret(caret.to);
+    if (font) {
+      this.fontName = font.to.fontName;
+      this.fontSize = font.to.fontSize;
+    }
+  }
+
+  /**
+   * Revert an operation (for undo)
+   * @param {TextEditorOperation} operation - The operation to revert
+   */
+  revertOperation(operation) {
+    const { edits, caret, font } = operation.getState();
+    [...edits]
+      .reverse()
+      .forEach((edit) =>
+        this.applyEdit(edit.type === 'insert' ? 'remove' : 'insert', edit.position, edit.text)
+      );
+    this.setCaret(caret.from);
+    if (font) {
+      this.fontName = font.from.fontName;
+      this.fontSize = font.from.fontSize;
+    }
+  }
+
+  /**
+   * Insert or remove text without recording it
+   * @param {string} type - 'insert' or 'remove'
+   * @param {number} position - Where the text starts
+   * @param {string} text - The text
+   */
+  applyEdit(type, position, text) {
+    const before = this.content.substring(0, position);
+    const after = this.content.substring(type === 'insert' ? position : position + text.length);
+    this.content = type === 'insert' ? before + text + after : before + after;
+  }
+
+  /**
+   * Restore a caret state
+   * @param {Object} caret - Cursor position and selection
+   */
+  setCaret(caret) {
+    this.cursorPosition = caret.cursorPosition;
+    this.selection = { ...caret.selection };
   }
 
   /**
@@ -225,29 +349,143 @@ class TextEditorMemento {
   }
 }
 
+/**
+ * Operation - An invertible change to the TextEditor
+ * Like a memento, but it stores only what changed: the inserted or removed text, the
+ * caret before and after and, for font changes, the old and new font.
+ */
+class TextEditorOperation {
+  /**
+   * @param {string} name - Editing method that produced the change, e.g. 'write'
+   * @param {Array} edits - `{ type: 'insert'|'remove', position, text }`, in applied order
+   * @param {Object} caret - `{ from, to }` cursor position and selection
+   * @param {Object|null} font - `{ from, to }` font name and size, null if unchanged
+   */
+  constructor(name, edits, caret, font) {
+    this._name = name;
+    this._edits = edits;
+    this._caret = caret;
+    this._font = font;
+  }
+
+  /**
+   * Return the stored change
+   * Only the originator (TextEditor) should access this
+   * @returns {Object} The stored change
+   */
+  getState() {
+    return { edits: this._edits, caret: this._caret, font: this._font };
+  }
+
+  /**
+   * Combine with the operation that followed this one, when the pair can be stored as one
+   * Consecutive writes, consecutive deletes at the same spot or backspacing, and caret
+   * moves next to a text edit are merged; font changes are kept as they are.
+   * @param {TextEditorOperation} next - The operation applied right after this one
+   * @returns {TextEditorOperation|null} The combined operation or null if they don't merge
+   */
+  merge(next) {
+    if (this._font || next._font) {
+      return null;
+    }
+
+    const caret = { from: this._caret.from, to: next._caret.to };
+    if (this._edits.length === 0 || next._edits.length === 0) {
+      const edits = this._edits.length === 0 ? next._edits : this._edits;
+      const name = this._edits.length === 0 ? next._name : this._name;
+      return new TextEditorOperation(name, edits, caret, null);
+    }
+    if (this._edits.length > 1 || next._edits.length > 1) {
+      return null;
+    }
+
+    const [first] = this._edits;
+    const [second] = next._edits;
+    if (first.type !== second.type) {
+      return null;
+    }
+    if (first.type === 'insert' && second.position === first.position + first.text.length) {
+      const text = first.text + second.text;
+      return new TextEditorOperation(this._name, [{ ...first, text }], caret, null);
+    }
+    if (first.type === 'remove' && second.position === first.position) {
+      const text = first.text + second.text;
+      return new TextEditorOperation(this._name, [{ ...first, text }], caret, null);
+    }
+    if (first.type === 'remove' && second.position + second.text.length === first.position) {
+      const text = second.text + first.text;
+      return new TextEditorOperation(this._name, [{ ...second, text }], caret, null);
+    }
+    return null;
+  }
+
+  /**
+   * Get the number of characters of text this operation stores
+   * @returns {number} Stored characters
+   */
+  getSize() {
+    return this._edits.reduce((size, edit) => size + edit.text.length, 0);
+  }
+
+  /**
+   * Get a description of this operation
+   * @returns {string} Operation description
+   */
+  getDescription() {
+    if (this._font) {
+      return `${this._name} ${this._font.to.fontName}, ${this._font.to.fontSize}px`;
+    }
+    if (this._edits.length === 0) {
+      const { cursorPosition, selection } = this._caret.to;
+      return selection.start !== selection.end
+        ? `${this._name} ${selection.start}-${selection.end}`
+        : `${this._name} to ${cursorPosition}`;
+    }
+    return this._edits
+      .map((edit) => {
+        const text = edit.text.length > 15 ? `${edit.text.substring(0, 15)}...` : edit.text;
+        return `${this._name} ${edit.type === 'insert' ? '+' : '-'}"${text}" at ${edit.position}`;
+      })
+      .join(', ');
+  }
+}
+
 /**
  * Caretaker - Manages and stores mementos without modifying them
  * In this example, it's a history manager for the text editor
+ *
+ * History is kept as an undo tree: pushing a state after an undo starts a new branch
+ * instead of discarding the states that were undone, so every version stays reachable.
+ * Each node remembers which of its branches redo follows, by default the newest one.
  */
 class EditorHistory {
   constructor() {
-    this.states = [];
-    this.currentStateIndex = -1;
+    this.nodes = new Map(); // id -> { id, memento, parent, children, activeChild }
+    this.root = null;
+    this.current = null;
+    this.nextId = 1;
   }
 
   /**
-   * Add a memento to the history
+   * Add a memento to the history, as a child of the current state
    * @param {TextEditorMemento} memento - The memento to store
    */
   push(memento) {
-    // If we did some new actions after undoing, clear the "future" states
-    if (this.currentStateIndex < this.states.length - 1) {
-      this.states = this.states.slice(0, this.currentStateIndex + 1);
+    const node = { id: this.nextId++, memento, parent: this.current, children: [], activeChild: 0 };
+    this.nodes.set(node.id, node);
+
+    if (this.current) {
+      this.current.children.push(node);
+      this.current.activeChild = this.current.children.length - 1;
+      if (this.current.children.length > 1) {
+        console.log(`Started branch ${this.current.children.length} from state ${this.current.id}`);
+      }
+    } else {
+      this.root = node;
     }
 
-    this.states.push(memento);
-    this.currentStateIndex = this.states.length - 1;
-    console.log(`Added state to history (${this.states.length} total states)`);
+    this.current = node;
+    console.log(`Added state ${node.id} to history (${this.nodes.size} total states)`);
   }
 
   /**
@@ -255,10 +493,10 @@ class EditorHistory {
    * @returns {TextEditorMemento|null} The previous state or null if at the beginning
    */
   undo() {
-    if (this.currentStateIndex > 0) {
-      this.currentStateIndex--;
-      console.log(`Undoing to state ${this.currentStateIndex + 1}`);
-      return this.states[this.currentStateIndex];
+    if (this.current && this.current.parent) {
+      this.current = this.current.parent;
+      console.log(`Undoing to state ${this.current.id}`);
+      return this.current.memento;
     } else {
       console.log('Cannot undo: at the beginning of history');
       return null;
@@ -266,14 +504,14 @@ class EditorHistory {
   }
 
   /**
-   * Get the next state (for redo)
+   * Get the next state along the current branch (for redo)
    * @returns {TextEditorMemento|null} The next state or null if at the end
    */
   redo() {
-    if (this.currentStateIndex < this.states.length - 1) {
-      this.currentStateIndex++;
-      console.log(`Redoing to state ${this.currentStateIndex + 1}`);
-      return this.states[this.currentStateIndex];
+    if (this.current && this.current.children.length > 0) {
+      this.current = this.current.children[this.current.activeChild];
+      console.log(`Redoing to state ${this.current.id}`);
+      return this.current.memento;
     } else {
       console.log('Cannot redo: at the end of history');
       return null;
@@ -281,43 +519,265 @@ class EditorHistory {
   }
 
   /**
-   * Get the list of saved states for display
-   * @returns {Array} Array of state descriptions
+   * Get the branches redo can follow from the current state
+   * @returns {Array} Branch descriptions, the one redo follows marked with '*'
    */
-  getStateList() {
-    return this.states.map((memento, index) => {
-      const description = memento.getDescription();
-      const currentMarker = index === this.currentStateIndex ? '> ' : '  ';
-      return `${currentMarker}${index + 1}. ${description}`;
+  getBranches() {
+    if (!this.current) {
+      return [];
+    }
+
+    return this.current.children.map((child, index) => {
+      const marker = index === this.current.activeChild ? '* ' : '  ';
+      return `${marker}${index + 1}. State ${child.id} - ${child.memento.getDescription()}`;
     });
   }
 
   /**
-   * Go to a specific state by index
-   * @param {number} index - The index of the state to restore
-   * @returns {TextEditorMemento|null} The requested state or null if invalid
+   * Choose which branch redo follows from the current state
+   * @param {number} index - The index of the branch, as listed by getBranches
+   * @returns {boolean} True if the branch exists
    */
-  goToState(index) {
-    if (index >= 0 && index < this.states.length) {
-      this.currentStateIndex = index;
-      console.log(`Going to state ${index + 1}`);
-      return this.states[index];
+  switchBranch(index) {
+    if (this.current && index >= 0 && index < this.current.children.length) {
+      this.current.activeChild = index;
+      console.log(
+        `Redo now follows branch ${index + 1} (state ${this.current.children[index].id})`
+      );
+      return true;
     } else {
-      console.log(`Invalid state index: ${index + 1}`);
+      console.log(`Invalid branch index: ${index + 1}`);
+      return false;
+    }
+  }
+
+  /**
+   * Go to any state in the tree
+   * The branches leading to it become the ones redo follows, so undo and redo walk
+   * the path through the requested state.
+   * @param {number} id - The id of the state, as shown by getTreeView
+   * @returns {TextEditorMemento|null} The requested state or null if invalid
+   */
+  jumpTo(id) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      console.log(`Invalid state: ${id}`);
       return null;
     }
+
+    for (let child = node; child.parent; child = child.parent) {
+      child.parent.activeChild = child.parent.children.indexOf(child);
+    }
+    this.current = node;
+    console.log(`Going to state ${id}`);
+    return node.memento;
+  }
+
+  /**
+   * Render the history as a tree for display
+   * The current state is marked with '>' and states on the redo path with '*'.
+   * Only branches are indented, so a linear stretch of history stays in one column.
+   * @returns {Array} One line per state, branches indented below their parent
+   */
+  getTreeView() {
+    if (!this.root) {
+      return [];
+    }
+
+    const onActivePath = new Set();
+    for (let node = this.root; node; node = node.children[node.activeChild]) {
+      onActivePath.add(node);
+    }
+
+    // Walk depth-first with an explicit stack, deep histories would overflow recursion
+    const lines = [];
+    const stack = [{ node: this.root, prefix: '', connector: '' }];
+    while (stack.length > 0) {
+      const { node, prefix, connector } = stack.pop();
+      const marker = node === this.current ? '> ' : onActivePath.has(node) ? '* ' : '  ';
+      lines.push(`${marker}${prefix}${connector}${node.id}. ${node.memento.getDescription()}`);
+
+      const childPrefix = prefix + (connector === '├─ ' ? '│  ' : connector ? '   ' : '');
+      if (node.children.length === 1) {
+        stack.push({ node: node.children[0], prefix: childPrefix, connector: '' });
+        continue;
+      }
+      for (let index = node.children.length - 1; index >= 0; index--) {
+        const isLast = index === node.children.length - 1;
+        stack.push({
+          node: node.children[index],
+          prefix: childPrefix,
+          connector: isLast ? '└─ ' : '├─ ',
+        });
+      }
+    }
+    return lines;
   }
 
   /**
    * Clear all history
    */
   clear() {
-    this.states = [];
-    this.currentStateIndex = -1;
+    this.nodes.clear();
+    this.root = null;
+    this.current = null;
+    this.nextId = 1;
     console.log('History cleared');
   }
 }
 
+/**
+ * Caretaker - Operation-based history for the text editor
+ * An alternative to EditorHistory that records every change as a TextEditorOperation
+ * instead of snapshotting the whole editor, so memory grows with the size of the edits
+ * rather than the size of the document.
+ *
+ * Undo and redo revert and apply operations in place. Every `compactEvery` operations
+ * the history compacts itself: older operations are merged where possible, and once more
+ * than `maxOperations` remain the oldest are folded into the checkpoint, a memento of
+ * the oldest state undo can reach.
+ *
+ * The history has to see every change, so don't restore mementos into the editor while
+ * it is recording.
+ */
+class OperationHistory {
+  /**
+   * @param {TextEditor} editor - The editor to record
+   * @param {Object} options - History options
+   * @param {number} options.compactEvery - Operations between compactions, default: 20
+   * @param {number} options.keepRecent - Newest operations never merged, default: 10
+   * @param {number} options.maxOperations - Operations kept before folding the oldest
+   *   into the checkpoint, default: 100
+   */
+  constructor(editor, options = {}) {
+    this.editor = editor;
+    this.compactEvery = options.compactEvery ?? 20;
+    this.keepRecent = options.keepRecent ?? 10;
+    this.maxOperations = options.maxOperations ?? 100;
+    this.done = [];
+    this.undone = [];
+    this.sinceCompaction = 0;
+    this.checkpoint = editor.save();
+    editor.setRecorder(this);
+  }
+
+  /**
+   * Add an operation to the history, called by the editor
+   * @param {TextEditorOperation} operation - The operation that was just applied
+   */
+  record(operation) {
+    this.done.push(operation);
+    this.undone = [];
+    if (++this.sinceCompaction >= this.compactEvery) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Revert the latest operation
+   * @returns {boolean} True if an operation was reverted
+   */
+  undo() {
+    const operation = this.done.pop();
+    if (!operation) {
+      console.log('Cannot undo: at the checkpoint');
+      return false;
+    }
+
+    this.editor.revertOperation(operation);
+    this.undone.push(operation);
+    console.log(`Undid ${operation.getDescription()}`);
+    return true;
+  }
+
+  /**
+   * Apply the latest reverted operation again
+   * @returns {boolean} True if an operation was applied
+   */
+  redo() {
+    const operation = this.undone.pop();
+    if (!operation) {
+      console.log('Cannot redo: at the end of history');
+      return false;
+    }
+
+    this.editor.applyOperation(operation);
+    this.done.push(operation);
+    console.log(`Redid ${operation.getDescription()}`);
+    return true;
+  }
+
+  /**
+   * Merge older operations and fold the oldest into the checkpoint
+   * Operations that were undone are left alone so redo keeps working.
+   */
+  compact() {
+    this.sinceCompaction = 0;
+    const before = this.done.length;
+
+    const older = this.done.slice(0, Math.max(0, this.done.length - this.keepRecent));
+    const recent = this.done.slice(older.length);
+    const merged = [];
+    older.forEach((operation) => {
+      const combined = merged.length > 0 ? merged[merged.length - 1].merge(operation) : null;
+      if (combined) {
+        merged[merged.length - 1] = combined;
+      } else {
+        merged.push(operation);
+      }
+    });
+    this.done = [...merged, ...recent];
+
+    const folded =
+      this.done.length > this.maxOperations
+        ? this.done.splice(0, this.done.length - this.maxOperations)
+        : [];
+    if (folded.length > 0) {
+      // Replay the folded operations on a scratch editor to move the checkpoint forward
+      const scratch = new TextEditor();
+      scratch.restore(this.checkpoint);
+      folded.forEach((operation) => scratch.applyOperation(operation));
+      this.checkpoint = scratch.save();
+    }
+
+    console.log(
+      `Compacted history: ${before} operations -> ${this.done.length}` +
+        (folded.length > 0 ? ` (${folded.length} folded into the checkpoint)` : '')
+    );
+  }
+
+  /**
+   * Go back to the checkpoint, discarding every recorded operation
+   */
+  revertToCheckpoint() {
+    this.editor.restore(this.checkpoint);
+    this.done = [];
+    this.undone = [];
+    console.log('Reverted to checkpoint');
+  }
+
+  /**
+   * Get the list of recorded operations for display
+   * @returns {Array} Array of operation descriptions, oldest first
+   */
+  getOperationList() {
+    return this.done.map((operation, index) => `  ${index + 1}. ${operation.getDescription()}`);
+  }
+
+  /**
+   * Describe how much the history stores
+   * @returns {Object} Operation count, characters stored in operations and checkpoint size
+   */
+  getMemoryUsage() {
+    const operations = [...this.done, ...this.undone];
+    return {
+      operations: operations.length,
+      operationCharacters: operations.reduce((size, operation) => size + operation.getSize(), 0),
+      checkpointCharacters: this.checkpoint.getState().content.length,
+    };
+  }
+}
+
 /**
  * A more complex originator example: Game character with state
  */
@@ -679,10 +1139,64 @@ function clientCode() {
     editor.display();
   }
 
-  // Show history list
+  // Editing after an undo starts a new branch instead of discarding the undone state
+  console.log('EDITING ON A NEW BRANCH:');
+  editor.moveCursor(editor.content.length);
+  editor.write(' rocks');
+  editor.display();
+  history.push(editor.save());
+
+  // Show history tree
   console.log('EDITOR HISTORY:');
-  const stateList = history.getStateList();
-  stateList.forEach((state) => console.log(state));
+  history.getTreeView().forEach((line) => console.log(line));
+
+  // Get the original branch back
+  console.log('\nSWITCHING BACK TO THE FIRST BRANCH:');
+  editor.restore(history.undo());
+  history.getBranches().forEach((branch) => console.log(branch));
+  history.switchBranch(0);
+  editor.restore(history.redo());
+  editor.display();
+
+  // Jump straight to any state
+  console.log('JUMPING TO THE FIRST EDIT:');
+  editor.restore(history.jumpTo(2));
+  editor.display();
+  history.getTreeView().forEach((line) => console.log(line));
+
+  // Operation-based history: only the edits are stored, not the whole document
+  console.log('\n\nOPERATION HISTORY EXAMPLE');
+  console.log('=========================');
+
+  const document = new TextEditor();
+  const operations = new OperationHistory(document, { compactEvery: 8, keepRecent: 3 });
+  let snapshotCharacters = 0; // What snapshotting after every change would store
+
+  const words = ['The', ' quick', ' brown', ' fox', ' jumps', ' over', ' the', ' lazy', ' dog.'];
+  words.forEach((word) => {
+    document.write(word);
+    snapshotCharacters += document.content.length;
+  });
+  document.select(4, 10);
+  document.delete(); // Delete "quick "
+  document.changeFont('Georgia', 16);
+  document.display();
+
+  console.log('PERFORMING UNDO OPERATIONS:');
+  operations.undo(); // Font change
+  operations.undo(); // Deletion
+  operations.undo(); // Selection
+  document.display();
+
+  console.log('PERFORMING REDO OPERATIONS:');
+  operations.redo();
+  operations.redo();
+  document.display();
+
+  console.log('RECORDED OPERATIONS:');
+  operations.getOperationList().forEach((operation) => console.log(operation));
+  console.log('Memory usage:', operations.getMemoryUsage());
+  console.log(`Snapshots after every write would store ${snapshotCharacters} characters`);
 
   // Game Character Example
   console.log('\n\nGAME CHARACTER EXAMPLE');
@@ -753,6 +1267,8 @@ module.exports = {
   TextEditor,
   TextEditorMemento,
   EditorHistory,
+  TextEditorOperation,
+  OperationHistory,
   GameCharacter,
   GameCharacterMemento,
   SaveManager,
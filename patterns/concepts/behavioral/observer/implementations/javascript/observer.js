@@ -6,6 +6,14 @@
  * It's also known as the Publish-Subscribe pattern.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+
 /**
  * Subject interface - defines methods for attaching, detaching,
  * and notifying observers
@@ -33,646 +41,6370 @@ class Subject {
   notify() {
     throw new Error('notify method must be implemented by concrete classes');
   }
+
+  /**
+   * Handle an error thrown by an observer during notify
+   * Concrete subjects call this so that one failing observer cannot starve the others.
+   * Override it to report errors somewhere other than the console.
+   * @param {any} error - Whatever the observer threw, usually an Error
+   * @param {Observer} observer - The observer that failed
+   */
+  handleObserverError(error, observer) {
+    const observerName = observer.displayName || observer.name || observer.constructor.name;
+    const message = String(error?.message ?? error);
+    console.log(`${this.constructor.name}: ${observerName} failed to update: ${message}`);
+  }
+
+  /**
+   * Describe what changed between two snapshots of the subject's state
+   * Subjects using the push model, like WeatherStation, send the record along with the
+   * update. It is timestamped on the subject's clock when it has one.
+   * @param {Object|null} previous - State the observer saw last, null if none
+   * @param {Object} current - Current state
+   * @returns {ChangeRecord} The change record
+   */
+  createChangeRecord(previous, current) {
+    const timestamp = (this.clock || systemClock).now();
+    return new ChangeRecord(this.constructor.name, previous, current, timestamp);
+  }
+
+  /**
+   * Convert the subject into an Observable of its updates
+   * @param {...any} attachArgs - Extra arguments for attach(), e.g. subscriptions
+   * @returns {Observable} Observable emitting toObservableValue() for every update
+   */
+  toObservable(...attachArgs) {
+    return Observable.fromSubject(
+      this,
+      (subject, ...updateArgs) => this.toObservableValue(...updateArgs),
+      attachArgs
+    );
+  }
+
+  /**
+   * Value emitted by toObservable() for one update
+   * Subclasses return whatever describes the update best.
+   * @param {...any} updateArgs - The arguments observers receive after the subject
+   * @returns {any} The value to emit, default: the first update argument
+   */
+  toObservableValue(...updateArgs) {
+    return updateArgs[0];
+  }
+}
+
+/**
+ * Change record pushed to observers - the previous and current values of a subject's
+ * state and the names of the fields that differ
+ */
+class ChangeRecord {
+  /**
+   * @param {string} type - Kind of subject the change comes from, e.g. 'WeatherStation'
+   * @param {Object|null} previous - Previous state, null if there is none
+   * @param {Object} current - Current state
+   * @param {number} timestamp - Time of the change in ms, default: now
+   */
+  constructor(type, previous, current, timestamp = Date.now()) {
+    this.type = type;
+    this.previous = previous ? { ...previous } : null;
+    this.current = { ...current };
+    this.changed = Object.keys(current).filter(
+      (field) => !previous || previous[field] !== current[field]
+    );
+    this.timestamp = new Date(timestamp);
+  }
+
+  /**
+   * Check whether a field changed
+   * @param {string} field - Field name
+   * @returns {boolean} True if the field changed
+   */
+  hasChanged(field) {
+    return this.changed.includes(field);
+  }
+
+  /**
+   * Check whether the change concerns an observer interested in some fields only
+   * @param {Array<string>|null} fields - Fields of interest, null for all
+   * @returns {boolean} True if any of the fields changed
+   */
+  affects(fields) {
+    if (!fields) return this.changed.length > 0;
+    return fields.some((field) => this.hasChanged(field));
+  }
 }
 
 /**
  * Observer interface - defines a method to be called when subjects change
+ *
+ * Observers can pull state from the subject inside `update`, or use the change record
+ * pushed by subjects that support it. WeatherStation pushes change records; StockMarket
+ * pushes its own market events instead, see StockMarket#notify.
  */
 class Observer {
+  /**
+   * @param {Object} options - Observer options
+   * @param {Array<string>} options.fields - Only receive updates when one of these fields
+   *   changes, default: all fields. Honoured by subjects that push change records, i.e.
+   *   WeatherStation.
+   */
+  constructor(options = {}) {
+    this.fields = options.fields || null;
+  }
+
   /**
    * Receive update from subject
    * @param {Subject} subject - The subject that triggered the update
+   * @param {ChangeRecord} change - What changed, when the subject pushes change records
    */
-  update(subject) {
+  update(subject, change) {
     throw new Error('update method must be implemented by concrete classes');
   }
 }
 
 /**
- * Concrete Subject - Weather Station
+ * Receiving end of an Observable subscription
+ *
+ * Enforces the Observable contract: any number of next() calls, then at most one
+ * error() or complete(), after which nothing more is delivered and teardown runs.
+ * Unsubscribing runs teardown too. The subscriber doubles as the Subscription handle.
  */
-class WeatherStation extends Subject {
-  constructor() {
-    super();
-    this.observers = [];
-    this.temperature = 0;
-    this.humidity = 0;
-    this.pressure = 0;
-  }
-
+class Subscriber {
   /**
-   * @inheritdoc
+   * @param {Object} handlers - `{ next, error, complete }`, all optional
    */
-  attach(observer) {
-    const isExist = this.observers.includes(observer);
-    if (isExist) {
-      console.log('WeatherStation: Observer has been attached already.');
-      return;
-    }
-
-    console.log('WeatherStation: Attached an observer.');
-    this.observers.push(observer);
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.closed = false;
+    this.teardowns = [];
   }
 
   /**
-   * @inheritdoc
+   * Deliver a value
+   * @param {any} value - The value
    */
-  detach(observer) {
-    const observerIndex = this.observers.indexOf(observer);
-    if (observerIndex === -1) {
-      console.log('WeatherStation: Nonexistent observer.');
-      return;
+  next(value) {
+    if (!this.closed && this.handlers.next) {
+      this.handlers.next(value);
     }
-
-    this.observers.splice(observerIndex, 1);
-    console.log('WeatherStation: Detached an observer.');
   }
 
   /**
-   * @inheritdoc
+   * Terminate with an error
+   * Errors without an error handler are logged rather than lost.
+   * @param {any} error - The error, usually an Error
    */
-  notify() {
-    console.log('WeatherStation: Notifying observers...');
-    for (const observer of this.observers) {
-      observer.update(this);
+  error(error) {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.handlers.error) {
+      this.handlers.error(error);
+    } else {
+      console.log(`Observable: Unhandled error: ${String(error?.message ?? error)}`);
     }
+    this.runTeardowns();
   }
 
   /**
-   * Set measurements and notify observers
-   * @param {number} temperature - The current temperature
-   * @param {number} humidity - The current humidity
-   * @param {number} pressure - The current pressure
+   * Terminate successfully
    */
-  setMeasurements(temperature, humidity, pressure) {
-    console.log('WeatherStation: Weather measurements changed.');
-    this.temperature = temperature;
-    this.humidity = humidity;
-    this.pressure = pressure;
-
-    this.notify();
+  complete() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.handlers.complete) {
+      this.handlers.complete();
+    }
+    this.runTeardowns();
   }
 
   /**
-   * Get the current temperature
-   * @returns {number} The current temperature
+   * Stop receiving values and release the resources behind the subscription
    */
-  getTemperature() {
-    return this.temperature;
+  unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    this.runTeardowns();
   }
 
   /**
-   * Get the current humidity
-   * @returns {number} The current humidity
+   * Register cleanup, run right away when already closed
+   * @param {Function|Object} teardown - Function, or subscription to unsubscribe
    */
-  getHumidity() {
-    return this.humidity;
+  add(teardown) {
+    if (!teardown) return;
+    const run = typeof teardown === 'function' ? teardown : () => teardown.unsubscribe();
+    if (this.closed) {
+      run();
+    } else {
+      this.teardowns.push(run);
+    }
   }
 
   /**
-   * Get the current pressure
-   * @returns {number} The current pressure
+   * Run every teardown once
    */
-  getPressure() {
-    return this.pressure;
+  runTeardowns() {
+    const teardowns = this.teardowns;
+    this.teardowns = [];
+    teardowns.forEach((teardown) => teardown());
   }
 }
 
 /**
- * Concrete Observer - Current Conditions Display
+ * Push-based stream of values with operators, built on the same idea as Subject
+ *
+ * An Observable is lazy: nothing happens until subscribe() is called, and each
+ * subscription gets its own run of the producer. Operators return new Observables.
  */
-class CurrentConditionsDisplay extends Observer {
-  constructor() {
-    super();
-    this.temperature = 0;
-    this.humidity = 0;
-    this.displayName = 'Current Conditions Display';
-  }
-
+class Observable {
   /**
-   * @inheritdoc
+   * @param {Function} producer - Called with a Subscriber on subscribe; may return a
+   *   teardown function or subscription
    */
-  update(subject) {
-    if (subject instanceof WeatherStation) {
-      this.temperature = subject.getTemperature();
-      this.humidity = subject.getHumidity();
-      this.display();
-    }
+  constructor(producer) {
+    this.producer = producer;
   }
 
   /**
-   * Display current conditions
+   * Start receiving values
+   * @param {Object|Function} observer - `{ next, error, complete }` or a next function
+   * @returns {Subscriber} Subscription with unsubscribe() and closed
    */
-  display() {
-    console.log(
-      `\n${this.displayName}: Current conditions: ${this.temperature.toFixed(
-        1
-      )}°C and ${this.humidity.toFixed(1)}% humidity`
+  subscribe(observer = {}) {
+    const subscriber = new Subscriber(
+      typeof observer === 'function' ? { next: observer } : observer
     );
-  }
-}
-
-/**
- * Concrete Observer - Statistics Display
- */
-class StatisticsDisplay extends Observer {
-  constructor() {
-    super();
-    this.temperatures = [];
-    this.displayName = 'Statistics Display';
+    try {
+      subscriber.add(this.producer(subscriber));
+    } catch (error) {
+      subscriber.error(error);
+    }
+    return subscriber;
   }
 
   /**
-   * @inheritdoc
+   * Create an Observable of fixed values that completes right away
+   * @param {...any} values - Values to emit
+   * @returns {Observable} The Observable
    */
-  update(subject) {
-    if (subject instanceof WeatherStation) {
-      this.temperatures.push(subject.getTemperature());
-      this.display();
-    }
+  static of(...values) {
+    return new Observable((subscriber) => {
+      values.forEach((value) => subscriber.next(value));
+      subscriber.complete();
+    });
   }
 
   /**
-   * Calculate average temperature
-   * @returns {number} The average temperature
+   * Create an Observable from a Subject: subscribing attaches an observer, unsubscribing
+   * detaches it. An error thrown by `project` errors the subscription, which detaches too.
+   * @param {Subject} subject - The subject
+   * @param {Function} project - Turns the update(subject, ...args) arguments into a value
+   * @param {Array} attachArgs - Extra arguments for subject.attach(), e.g. stock symbols
+   * @returns {Observable} The Observable
    */
-  getAverageTemperature() {
-    if (this.temperatures.length === 0) return 0;
-    const sum = this.temperatures.reduce((a, b) => a + b, 0);
-    return sum / this.temperatures.length;
+  static fromSubject(subject, project, attachArgs = []) {
+    return new Observable((subscriber) => {
+      const adapter = new Observer();
+      adapter.displayName = 'Observable';
+      adapter.update = (source, ...args) => {
+        let value;
+        try {
+          value = project(source, ...args);
+        } catch (error) {
+          subscriber.error(error);
+          return;
+        }
+        subscriber.next(value);
+      };
+      subject.attach(adapter, ...attachArgs);
+      return () => subject.detach(adapter);
+    });
   }
 
   /**
-   * Calculate minimum temperature
-   * @returns {number} The minimum temperature
+   * Emit arrays of the latest value of every source, once each source has emitted
+   * Completes when all sources complete, right away when there are none, errors when any
+   * source errors.
+   * @param {...Observable} sources - Sources to combine
+   * @returns {Observable} The Observable
    */
-  getMinTemperature() {
-    if (this.temperatures.length === 0) return 0;
-    return Math.min(...this.temperatures);
+  static combineLatest(...sources) {
+    return new Observable((subscriber) => {
+      if (sources.length === 0) {
+        subscriber.complete();
+        return;
+      }
+      const values = new Array(sources.length);
+      const seen = new Set();
+      let completed = 0;
+      sources.forEach((source, index) => {
+        subscriber.add(
+          source.subscribe({
+            next: (value) => {
+              values[index] = value;
+              seen.add(index);
+              if (seen.size === sources.length) {
+                subscriber.next([...values]);
+              }
+            },
+            error: (error) => subscriber.error(error),
+            complete: () => {
+              if (++completed === sources.length) subscriber.complete();
+            },
+          })
+        );
+      });
+    });
   }
 
   /**
-   * Calculate maximum temperature
-   * @returns {number} The maximum temperature
+   * Emit the values of every source as they arrive
+   * Completes when all sources complete, right away when there are none, errors when any
+   * source errors.
+   * @param {...Observable} sources - Sources to merge
+   * @returns {Observable} The Observable
    */
-  getMaxTemperature() {
-    if (this.temperatures.length === 0) return 0;
-    return Math.max(...this.temperatures);
+  static merge(...sources) {
+    return new Observable((subscriber) => {
+      if (sources.length === 0) {
+        subscriber.complete();
+        return;
+      }
+      let completed = 0;
+      sources.forEach((source) => {
+        subscriber.add(
+          source.subscribe({
+            next: (value) => subscriber.next(value),
+            error: (error) => subscriber.error(error),
+            complete: () => {
+              if (++completed === sources.length) subscriber.complete();
+            },
+          })
+        );
+      });
+    });
   }
 
   /**
-   * Display statistics
+   * Build an operator: subscribe to this Observable, routing values through `next`
+   * Errors thrown by `next` terminate the result with that error.
+   * @param {Function} next - Called with (value, subscriber) for every value
+   * @param {Function} complete - Called with (subscriber) on completion, default: completes
+   * @returns {Observable} The resulting Observable
    */
-  display() {
-    console.log(
-      `\n${this.displayName}: Avg/Max/Min temperature = ${this.getAverageTemperature().toFixed(
-        1
-      )}/${this.getMaxTemperature().toFixed(1)}/${this.getMinTemperature().toFixed(1)}`
+  lift(next, complete = (subscriber) => subscriber.complete()) {
+    return new Observable((subscriber) =>
+      this.subscribe({
+        next: (value) => {
+          try {
+            next(value, subscriber);
+          } catch (error) {
+            subscriber.error(error);
+          }
+        },
+        error: (error) => subscriber.error(error),
+        complete: () => complete(subscriber),
+      })
     );
   }
-}
 
-/**
- * Concrete Observer - Forecast Display
- */
-class ForecastDisplay extends Observer {
-  constructor() {
-    super();
-    this.currentPressure = 29.92; // Initial pressure in inches
-    this.lastPressure = 0;
-    this.displayName = 'Forecast Display';
+  /**
+   * Transform every value
+   * @param {Function} project - Called with each value
+   * @returns {Observable} The Observable of projected values
+   */
+  map(project) {
+    return this.lift((value, subscriber) => subscriber.next(project(value)));
   }
 
   /**
-   * @inheritdoc
+   * Only pass values matching a predicate
+   * @param {Function} predicate - Called with each value
+   * @returns {Observable} The filtered Observable
    */
-  update(subject) {
-    if (subject instanceof WeatherStation) {
-      this.lastPressure = this.currentPressure;
-      this.currentPressure = subject.getPressure();
-      this.display();
-    }
+  filter(predicate) {
+    return this.lift((value, subscriber) => {
+      if (predicate(value)) subscriber.next(value);
+    });
   }
 
   /**
-   * Display forecast
+   * Emit a running accumulation
+   * @param {Function} reducer - Called with (accumulated, value)
+   * @param {any} seed - Initial accumulated value
+   * @returns {Observable} The Observable of accumulated values
    */
-  display() {
-    console.log(`\n${this.displayName}: Forecast: `);
-    if (this.currentPressure > this.lastPressure) {
-      console.log('Improving weather on the way!');
-    } else if (this.currentPressure === this.lastPressure) {
-      console.log('More of the same');
-    } else {
-      console.log('Watch out for cooler, rainy weather');
-    }
+  scan(reducer, seed) {
+    return new Observable((subscriber) => {
+      let accumulated = seed;
+      return this.lift((value, inner) => {
+        accumulated = reducer(accumulated, value);
+        inner.next(accumulated);
+      }).subscribe(subscriber);
+    });
   }
-}
 
-/**
- * Concrete Observer - Heat Index Display
- */
-class HeatIndexDisplay extends Observer {
-  constructor() {
-    super();
-    this.heatIndex = 0;
-    this.displayName = 'Heat Index Display';
+  /**
+   * Only emit a value once no newer one arrived for a while
+   * A value still waiting when the source completes is emitted before completing.
+   * @param {number} ms - Quiet period in ms
+   * @param {Object} clock - Clock for the timer, default: real time
+   * @returns {Observable} The debounced Observable
+   */
+  debounceTime(ms, clock = systemClock) {
+    return new Observable((subscriber) => {
+      let timer = null;
+      let pending = null;
+      const flush = () => {
+        timer = null;
+        const { value } = pending;
+        pending = null;
+        subscriber.next(value);
+      };
+      subscriber.add(() => clock.clearTimeout(timer));
+      return this.subscribe({
+        next: (value) => {
+          clock.clearTimeout(timer);
+          pending = { value };
+          timer = clock.setTimeout(flush, ms);
+        },
+        error: (error) => subscriber.error(error),
+        complete: () => {
+          if (pending) {
+            clock.clearTimeout(timer);
+            flush();
+          }
+          subscriber.complete();
+        },
+      });
+    });
   }
 
   /**
-   * @inheritdoc
+   * Drop values equal to the previous one
+   * @param {Function} compare - Called with (previous, current), default: Object.is
+   * @returns {Observable} The Observable without consecutive duplicates
    */
-  update(subject) {
-    if (subject instanceof WeatherStation) {
-      const t = subject.getTemperature();
-      const rh = subject.getHumidity();
-      // Complex formula to calculate heat index
-      this.heatIndex = this.computeHeatIndex(t, rh);
-      this.display();
-    }
+  distinctUntilChanged(compare = Object.is) {
+    return new Observable((subscriber) => {
+      let previous = null;
+      return this.lift((value, inner) => {
+        if (previous && compare(previous.value, value)) return;
+        previous = { value };
+        inner.next(value);
+      }).subscribe(subscriber);
+    });
   }
 
   /**
-   * Compute heat index using temperature and humidity
-   * @param {number} t - Temperature in Celsius
-   * @param {number} rh - Relative humidity (%)
-   * @returns {number} Heat index
+   * Complete as soon as another Observable emits
+   * @param {Observable} notifier - Its first value completes the result
+   * @returns {Observable} The Observable
    */
-  computeHeatIndex(t, rh) {
-    // Convert Celsius to Fahrenheit for the formula
-    const tf = (t * 9) / 5 + 32;
+  takeUntil(notifier) {
+    return new Observable((subscriber) => {
+      subscriber.add(
+        notifier.subscribe({
+          next: () => subscriber.complete(),
+          error: (error) => subscriber.error(error),
+        })
+      );
+      if (!subscriber.closed) {
+        return this.subscribe(subscriber);
+      }
+      return null;
+    });
+  }
+}
 
-    // Heat index formula (simplified version)
-    let index =
-      16.923 +
-      0.185212 * tf +
-      5.37941 * rh -
-      0.100254 * tf * rh +
-      0.00941695 * (tf * tf) +
-      0.00728898 * (rh * rh) +
-      0.000345372 * (tf * tf * rh) -
-      0.000814971 * (tf * rh * rh) +
-      0.0000102102 * (tf * tf * rh * rh) -
-      0.000038646 * (tf * tf * tf) +
-      0.0000291583 * (rh * rh * rh) +
-      0.00000142721 * (tf * tf * tf * rh) +
-      0.000000197483 * (tf * rh * rh * rh) -
-      0.0000000218429 * (tf * tf * tf * rh * rh) +
-      0.000000000843296 * (tf * tf * rh * rh * rh) -
-      0.0000000000481975 * (tf * tf * tf * rh * rh * rh);
+/**
+ * Units per weather quantity, each defined by conversions to and from a base unit
+ */
+const WEATHER_UNITS = {
+  temperature: {
+    C: { symbol: '°C', toBase: (v) => v, fromBase: (v) => v },
+    F: { symbol: '°F', toBase: (v) => ((v - 32) * 5) / 9, fromBase: (v) => (v * 9) / 5 + 32 },
+    K: { symbol: ' K', toBase: (v) => v - 273.15, fromBase: (v) => v + 273.15 },
+  },
+  pressure: {
+    hPa: { symbol: ' hPa', toBase: (v) => v, fromBase: (v) => v },
+    kPa: { symbol: ' kPa', toBase: (v) => v * 10, fromBase: (v) => v / 10 },
+    inHg: { symbol: ' inHg', toBase: (v) => v * 33.8639, fromBase: (v) => v / 33.8639 },
+  },
+  humidity: {
+    '%': { symbol: '%', toBase: (v) => v, fromBase: (v) => v },
+    fraction: { symbol: '', toBase: (v) => v * 100, fromBase: (v) => v / 100 },
+  },
+  windSpeed: {
+    'km/h': { symbol: ' km/h', toBase: (v) => v, fromBase: (v) => v },
+    'm/s': { symbol: ' m/s', toBase: (v) => v * 3.6, fromBase: (v) => v / 3.6 },
+    mph: { symbol: ' mph', toBase: (v) => v * 1.609344, fromBase: (v) => v / 1.609344 },
+    kn: { symbol: ' kn', toBase: (v) => v * 1.852, fromBase: (v) => v / 1.852 },
+  },
+};
 
-    // Convert back to Celsius
-    index = ((index - 32) * 5) / 9;
+/**
+ * Units a WeatherStation reports in unless told otherwise
+ */
+const DEFAULT_STATION_UNITS = {
+  temperature: 'C',
+  humidity: '%',
+  pressure: 'inHg',
+  windSpeed: 'km/h',
+};
 
-    return index;
+/**
+ * Look up a unit definition
+ * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+ * @param {string} unit - Unit name, e.g. 'F' or 'hPa'
+ * @returns {Object} The unit definition
+ */
+function getUnit(quantity, unit) {
+  const units = WEATHER_UNITS[quantity];
+  if (!units) {
+    throw new Error(`Unknown quantity: ${quantity}`);
   }
-
-  /**
-   * Display heat index
-   */
-  display() {
-    console.log(`\n${this.displayName}: Heat Index is ${this.heatIndex.toFixed(1)}°C`);
+  if (!units[unit]) {
+    throw new Error(`Unknown ${quantity} unit: ${unit}`);
   }
+  return units[unit];
 }
 
 /**
- * More sophisticated Subject - Stock Market Data
+ * Convert a measurement between units
+ * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+ * @param {number} value - Value in the `from` unit
+ * @param {string} from - Unit of the value
+ * @param {string} to - Unit to convert to
+ * @returns {number} Value in the `to` unit
  */
-class StockMarket extends Subject {
-  constructor() {
-    super();
-    this.observers = new Map(); // Using Map to store observers with their topics
-    this.stocks = new Map(); // Store stock prices
+function convertUnit(quantity, value, from, to) {
+  if (from === to) return value;
+  return getUnit(quantity, to).fromBase(getUnit(quantity, from).toBase(value));
+}
+
+/**
+ * Format a number with the separators of a locale
+ * @param {number} value - Value to format
+ * @param {string} locale - BCP 47 locale, e.g. 'de-DE'
+ * @param {number} digits - Fraction digits, default: 1
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, locale, digits = 1) {
+  const formatter = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+  // Values that round to zero, like -0.04 or -0, would otherwise print as "-0.0"
+  const zero = formatter.format(0);
+  return formatter.format(Math.abs(value)) === zero ? zero : formatter.format(value);
+}
+
+/**
+ * Format a measurement with its unit symbol
+ * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+ * @param {number} value - Value to format
+ * @param {string} unit - Unit of the value
+ * @param {string} locale - BCP 47 locale, e.g. 'en-US'
+ * @param {number} digits - Fraction digits, default: 1
+ * @returns {string} E.g. '81.5°F' or '1.013,2 hPa'
+ */
+function formatMeasurement(quantity, value, unit, locale, digits = 1) {
+  return `${formatNumber(value, locale, digits)}${getUnit(quantity, unit).symbol}`;
+}
+
+/**
+ * Clock backed by the real timers, used unless a subject is given another one
+ */
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Clock that only moves when told to, for deterministic tests of timed delivery
+ */
+class ManualClock {
+  /**
+   * @param {number} start - Initial time in ms, default: 0
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.timers = [];
+    this.nextTimerId = 1;
   }
 
   /**
-   * Attach an observer for specific stocks
-   * @param {Observer} observer - The observer to attach
-   * @param {Array<string>} stocks - List of stock symbols to subscribe to
+   * Get the current time
+   * @returns {number} Current time in ms
    */
-  attach(observer, stocks = []) {
-    console.log(`StockMarket: Attached observer for stocks: ${stocks.join(', ') || 'ALL'}`);
-    this.observers.set(observer, stocks);
+  now() {
+    return this.time;
   }
 
   /**
-   * Detach an observer
-   * @param {Observer} observer - The observer to detach
+   * Schedule a callback
+   * @param {Function} callback - Function to call
+   * @param {number} ms - Delay in ms
+   * @returns {number} Timer id
    */
-  detach(observer) {
+  setTimeout(callback, ms) {
+    const id = this.nextTimerId++;
+    this.timers.push({ id, callback, at: this.time + ms });
+    return id;
+  }
+
+  /**
+   * Cancel a scheduled callback
+   * @param {number} id - Timer id
+   */
+  clearTimeout(id) {
+    this.timers = this.timers.filter((timer) => timer.id !== id);
+  }
+
+  /**
+   * Move time forward, running every timer that falls due on the way in order
+   * @param {number} ms - Time to advance in ms
+   */
+  advance(ms) {
+    const target = this.time + ms;
+
+    for (;;) {
+      const due = this.timers
+        .filter((timer) => timer.at <= target)
+        .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+      if (!due) break;
+
+      this.clearTimeout(due.id);
+      this.time = due.at;
+      due.callback();
+    }
+
+    this.time = target;
+  }
+}
+
+/**
+ * Concrete Subject - Weather Station
+ */
+class WeatherStation extends Subject {
+  /**
+   * @param {Object} options - Station options
+   * @param {Object} options.clock - Provides now(), setTimeout() and clearTimeout(),
+   *   default: the system clock
+   * @param {Object} options.units - Units the readings arrive in, e.g. `{ pressure: 'hPa' }`,
+   *   default: °C, % and inHg
+   */
+  constructor(options = {}) {
+    super();
+    this.observers = [];
+    this.deliveryStates = new Map(); // Observer -> delivery policy and its pending work
+    this.clock = options.clock || systemClock;
+    this.units = { ...DEFAULT_STATION_UNITS, ...(options.units || {}) };
+    for (const [quantity, unit] of Object.entries(this.units)) {
+      getUnit(quantity, unit); // Fail early on unknown units
+    }
+    this.temperature = 0;
+    this.humidity = 0;
+    this.pressure = 0;
+    this.windSpeed = 0;
+  }
+
+  /**
+   * Attach an observer with a delivery policy
+   *
+   * Policies:
+   * - `{ mode: 'immediate' }`: update on every measurement (default)
+   * - `{ mode: 'throttle', interval }`: at most one update per interval, the last
+   *   measurement of an interval is delivered when it ends
+   * - `{ mode: 'debounce', wait }`: update once measurements stop for `wait` ms
+   * - `{ mode: 'batch', size, interval }`: collect measurements and deliver them as an array
+   *   when `size` is reached or `interval` ms after the first one. Observers receive
+   *   batches through `updateBatch(measurements, subject)` if they define it.
+   *
+   * Every update also pushes a ChangeRecord against the measurements this observer saw
+   * last. A `fields` list in the policy, or on the observer, skips measurements where
+   * none of those fields changed; observers that still need to see them can define
+   * `updateSkipped(subject, change)`.
+   * @param {Observer} observer - The observer to attach
+   * @param {Object} policy - Delivery policy, default: immediate
+   */
+  attach(observer, policy = {}) {
+    const isExist = this.observers.includes(observer);
+    if (isExist) {
+      console.log('WeatherStation: Observer has been attached already.');
+      return;
+    }
+
+    const state = this.createDeliveryState({ fields: observer.fields, ...policy });
+    if (state.mode === 'immediate') {
+      console.log('WeatherStation: Attached an observer.');
+    } else {
+      console.log(`WeatherStation: Attached an observer (${state.mode} delivery).`);
+    }
+    this.observers.push(observer);
+    this.deliveryStates.set(observer, state);
+  }
+
+  /**
+   * Normalize a delivery policy into the state tracked per observer
+   * @param {Object} policy - Delivery policy, see attach
+   * @returns {Object} Delivery state
+   */
+  createDeliveryState({ mode = 'immediate', interval, wait = 1000, size = Infinity, fields }) {
+    if (!['immediate', 'throttle', 'debounce', 'batch'].includes(mode)) {
+      throw new Error(`Unknown delivery mode: ${mode}`);
+    }
+
+    // Batches are flushed by size only unless an interval is given
+    const flushInterval = interval ?? (mode === 'batch' ? Infinity : 1000);
+    if (mode === 'batch' && size === Infinity && flushInterval === Infinity) {
+      throw new Error('Batch delivery needs a size or an interval');
+    }
+
+    return {
+      mode,
+      interval: flushInterval,
+      wait,
+      size,
+      timer: null,
+      lastDelivery: -Infinity,
+      batch: [],
+      fields: fields || null,
+      lastSeen: null, // Measurements included in the last update, for change records
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  detach(observer) {
+    const observerIndex = this.observers.indexOf(observer);
+    if (observerIndex === -1) {
+      console.log('WeatherStation: Nonexistent observer.');
+      return;
+    }
+
+    this.observers.splice(observerIndex, 1);
+
+    // Pending throttled, debounced or batched updates are dropped
+    const state = this.deliveryStates.get(observer);
+    this.clock.clearTimeout(state.timer);
+    this.deliveryStates.delete(observer);
+    console.log('WeatherStation: Detached an observer.');
+  }
+
+  /**
+   * @inheritdoc
+   */
+  notify() {
+    console.log('WeatherStation: Notifying observers...');
+    for (const observer of [...this.observers]) {
+      const state = this.deliveryStates.get(observer);
+
+      if (state.fields) {
+        const change = this.createChangeRecord(state.lastSeen, this.getState());
+        if (!change.affects(state.fields)) {
+          this.deliverSkipped(observer, change);
+          continue;
+        }
+      }
+
+      switch (state.mode) {
+        case 'throttle':
+          this.throttleDelivery(observer, state);
+          break;
+        case 'debounce':
+          this.clock.clearTimeout(state.timer);
+          state.timer = this.clock.setTimeout(() => {
+            state.timer = null;
+            this.deliver(observer);
+          }, state.wait);
+          break;
+        case 'batch':
+          this.batchDelivery(observer, state);
+          break;
+        default:
+          this.deliver(observer);
+      }
+    }
+  }
+
+  /**
+   * Update an observer now, isolating its errors from the other observers
+   * @param {Observer} observer - The observer to update
+   */
+  deliver(observer) {
+    const state = this.deliveryStates.get(observer);
+    const current = this.getState();
+    const change = this.createChangeRecord(state.lastSeen, current);
+    state.lastSeen = current;
+
+    try {
+      observer.update(this, change);
+    } catch (error) {
+      this.handleObserverError(error, observer);
+    }
+  }
+
+  /**
+   * Tell an observer about a measurement its fields filter skipped, if it wants to know
+   * @param {Observer} observer - The observer
+   * @param {ChangeRecord} change - Change against the last update it received
+   */
+  deliverSkipped(observer, change) {
+    if (typeof observer.updateSkipped !== 'function') return;
+
+    try {
+      observer.updateSkipped(this, change);
+    } catch (error) {
+      this.handleObserverError(error, observer);
+    }
+  }
+
+  /**
+   * Deliver on the leading edge, then at most once per interval
+   * @param {Observer} observer - The observer to update
+   * @param {Object} state - Its delivery state
+   */
+  throttleDelivery(observer, state) {
+    if (state.timer !== null) {
+      // A trailing delivery is already scheduled and will read the latest measurements
+      return;
+    }
+
+    const elapsed = this.clock.now() - state.lastDelivery;
+    if (elapsed >= state.interval) {
+      state.lastDelivery = this.clock.now();
+      this.deliver(observer);
+      return;
+    }
+
+    state.timer = this.clock.setTimeout(() => {
+      state.timer = null;
+      state.lastDelivery = this.clock.now();
+      this.deliver(observer);
+    }, state.interval - elapsed);
+  }
+
+  /**
+   * Add the current measurements to an observer's batch, flushing it when due
+   * @param {Observer} observer - The observer to update
+   * @param {Object} state - Its delivery state
+   */
+  batchDelivery(observer, state) {
+    state.batch.push(this.getMeasurements());
+
+    if (state.batch.length >= state.size) {
+      this.flushBatch(observer, state);
+    } else if (state.timer === null && state.interval !== Infinity) {
+      state.timer = this.clock.setTimeout(() => this.flushBatch(observer, state), state.interval);
+    }
+  }
+
+  /**
+   * Deliver an observer's batch
+   *
+   * Observers without updateBatch get a single regular update instead.
+   * @param {Observer} observer - The observer to update
+   * @param {Object} state - Its delivery state
+   */
+  flushBatch(observer, state) {
+    this.clock.clearTimeout(state.timer);
+    state.timer = null;
+    const batch = state.batch.splice(0);
+    if (batch.length === 0) return;
+
+    if (typeof observer.updateBatch !== 'function') {
+      this.deliver(observer);
+      return;
+    }
+
+    const { timestamp, ...latest } = batch[batch.length - 1];
+    state.lastSeen = latest;
+
+    try {
+      observer.updateBatch(batch, this);
+    } catch (error) {
+      this.handleObserverError(error, observer);
+    }
+  }
+
+  /**
+   * Deliver everything still pending, e.g. before shutting down
+   */
+  flush() {
+    for (const [observer, state] of this.deliveryStates.entries()) {
+      if (state.mode === 'batch') {
+        this.flushBatch(observer, state);
+      } else if (state.timer !== null) {
+        this.clock.clearTimeout(state.timer);
+        state.timer = null;
+        state.lastDelivery = this.clock.now();
+        this.deliver(observer);
+      }
+    }
+  }
+
+  /**
+   * Set measurements and notify observers
+   * @param {number} temperature - The current temperature
+   * @param {number} humidity - The current humidity
+   * @param {number} pressure - The current pressure
+   * @param {number} windSpeed - The current wind speed, default: unchanged
+   */
+  setMeasurements(temperature, humidity, pressure, windSpeed = this.windSpeed) {
+    console.log('WeatherStation: Weather measurements changed.');
+    this.temperature = temperature;
+    this.humidity = humidity;
+    this.pressure = pressure;
+    this.windSpeed = windSpeed;
+
+    this.notify();
+  }
+
+  /**
+   * Get the fields change records are computed from
+   * @returns {Object} Temperature, humidity, pressure and wind speed
+   */
+  getState() {
+    return {
+      temperature: this.temperature,
+      humidity: this.humidity,
+      pressure: this.pressure,
+      windSpeed: this.windSpeed,
+    };
+  }
+
+  /**
+   * Get a snapshot of the current measurements
+   * @returns {Object} Temperature, humidity, pressure, wind speed and the clock time they
+   *   were read at
+   */
+  getMeasurements() {
+    return {
+      temperature: this.temperature,
+      humidity: this.humidity,
+      pressure: this.pressure,
+      windSpeed: this.windSpeed,
+      timestamp: this.clock.now(),
+    };
+  }
+
+  /**
+   * Emit the timestamped measurements for every delivered update
+   * toObservable() takes the same delivery policy as attach().
+   * @returns {Object} See getMeasurements()
+   */
+  toObservableValue() {
+    return this.getMeasurements();
+  }
+
+  /**
+   * Get the units the readings are recorded in
+   * @returns {Object} Unit per quantity, e.g. `{ temperature: 'C', pressure: 'inHg' }`
+   */
+  getUnits() {
+    return { ...this.units };
+  }
+
+  /**
+   * Get the current temperature
+   * @returns {number} The current temperature
+   */
+  getTemperature() {
+    return this.temperature;
+  }
+
+  /**
+   * Get the current humidity
+   * @returns {number} The current humidity
+   */
+  getHumidity() {
+    return this.humidity;
+  }
+
+  /**
+   * Get the current pressure
+   * @returns {number} The current pressure
+   */
+  getPressure() {
+    return this.pressure;
+  }
+
+  /**
+   * Get the current wind speed
+   * @returns {number} The current wind speed
+   */
+  getWindSpeed() {
+    return this.windSpeed;
+  }
+}
+
+/**
+ * Base class for weather displays - converts readings into the display's units
+ * and formats numbers for its locale
+ */
+class WeatherDisplay extends Observer {
+  /**
+   * @param {Object} options - Display options
+   * @param {Object} options.units - Output unit per quantity, e.g. `{ temperature: 'F' }`,
+   *   default: the units the station reports in
+   * @param {string} options.locale - Locale used to format numbers, default: 'en-US'
+   */
+  constructor(options = {}) {
+    super(options);
+    this.units = { ...(options.units || {}) };
+    this.locale = options.locale || 'en-US';
+    this.stationUnits = { ...DEFAULT_STATION_UNITS };
+
+    for (const [quantity, unit] of Object.entries(this.units)) {
+      getUnit(quantity, unit); // Fail early on unknown units
+    }
+  }
+
+  /**
+   * Get the unit a quantity is displayed in
+   * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+   * @returns {string} Unit name
+   */
+  unitFor(quantity) {
+    return this.units[quantity] || this.stationUnits[quantity];
+  }
+
+  /**
+   * Convert a station reading into the display's unit
+   * @param {WeatherStation} subject - The station the reading comes from
+   * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+   * @param {number} value - Value in the station's unit
+   * @returns {number} Value in the display's unit
+   */
+  toDisplayUnits(subject, quantity, value) {
+    this.stationUnits = subject.getUnits();
+    return convertUnit(quantity, value, this.stationUnits[quantity], this.unitFor(quantity));
+  }
+
+  /**
+   * Format a value that is already in the display's unit
+   * @param {string} quantity - 'temperature', 'pressure', 'humidity' or 'windSpeed'
+   * @param {number} value - Value to format
+   * @param {number} digits - Fraction digits, default: 1
+   * @returns {string} Formatted value with its unit symbol
+   */
+  format(quantity, value, digits = 1) {
+    return formatMeasurement(quantity, value, this.unitFor(quantity), this.locale, digits);
+  }
+}
+
+/**
+ * Concrete Observer - Current Conditions Display
+ */
+class CurrentConditionsDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.temperature = 0;
+    this.humidity = 0;
+    this.displayName = 'Current Conditions Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      this.temperature = this.toDisplayUnits(subject, 'temperature', subject.getTemperature());
+      this.humidity = this.toDisplayUnits(subject, 'humidity', subject.getHumidity());
+      this.display();
+    }
+  }
+
+  /**
+   * Display current conditions
+   */
+  display() {
+    console.log(
+      `\n${this.displayName}: Current conditions: ${this.format(
+        'temperature',
+        this.temperature
+      )} and ${this.format('humidity', this.humidity)} humidity`
+    );
+  }
+}
+
+/**
+ * Rolling window of timestamped samples, bounded by count and optionally by age
+ */
+class RollingWindow {
+  /**
+   * @param {Object} options - Window options
+   * @param {number} options.size - Maximum number of samples kept, default: 1000
+   * @param {number} options.duration - Maximum sample age in ms, default: Infinity
+   */
+  constructor({ size = 1000, duration = Infinity } = {}) {
+    this.size = size;
+    this.duration = duration;
+    this.samples = []; // Oldest first, { value, timestamp }
+    this.sorted = null; // Sorted copy of the values, rebuilt after the window changes
+  }
+
+  /**
+   * Add a sample and evict the ones that fell out of the window
+   * @param {number} value - Sample value
+   * @param {number} timestamp - Sample time in ms
+   */
+  push(value, timestamp) {
+    this.samples.push({ value, timestamp });
+    this.sorted = null;
+
+    if (this.samples.length > this.size) {
+      this.samples.shift();
+    }
+    const oldest = timestamp - this.duration;
+    while (this.samples.length > 0 && this.samples[0].timestamp < oldest) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Get the number of samples in the window
+   * @returns {number} Sample count
+   */
+  get count() {
+    return this.samples.length;
+  }
+
+  /**
+   * Get the values in the window, oldest first
+   * @returns {Array<number>} Sample values
+   */
+  values() {
+    return this.samples.map((sample) => sample.value);
+  }
+
+  /**
+   * Calculate the mean
+   * @returns {number} The average, 0 when empty
+   */
+  average() {
+    if (this.count === 0) return 0;
+    return this.values().reduce((a, b) => a + b, 0) / this.count;
+  }
+
+  /**
+   * Calculate the minimum
+   * @returns {number} The minimum, 0 when empty
+   */
+  min() {
+    if (this.count === 0) return 0;
+    // A loop rather than Math.min(...values), which overflows the stack on large windows
+    let min = Infinity;
+    for (const { value } of this.samples) {
+      if (value < min) min = value;
+    }
+    return min;
+  }
+
+  /**
+   * Calculate the maximum
+   * @returns {number} The maximum, 0 when empty
+   */
+  max() {
+    if (this.count === 0) return 0;
+    let max = -Infinity;
+    for (const { value } of this.samples) {
+      if (value > max) max = value;
+    }
+    return max;
+  }
+
+  /**
+   * Get the values in the window in ascending order
+   * The sorted copy is cached, so several percentiles of one window sort only once.
+   * @returns {Array<number>} Sorted sample values, not to be modified
+   */
+  sortedValues() {
+    if (!this.sorted) {
+      this.sorted = this.values().sort((a, b) => a - b);
+    }
+    return this.sorted;
+  }
+
+  /**
+   * Calculate a percentile with linear interpolation between the closest ranks
+   * @param {number} p - Percentile between 0 and 100
+   * @returns {number} The percentile, 0 when empty
+   */
+  percentile(p) {
+    if (this.count === 0) return 0;
+
+    const sorted = this.sortedValues();
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Calculate the median
+   * @returns {number} The median, 0 when empty
+   */
+  median() {
+    return this.percentile(50);
+  }
+
+  /**
+   * Calculate the population standard deviation
+   * @returns {number} The standard deviation, 0 when empty
+   */
+  standardDeviation() {
+    if (this.count === 0) return 0;
+    const mean = this.average();
+    const variance =
+      this.values().reduce((sum, value) => sum + (value - mean) ** 2, 0) / this.count;
+    return Math.sqrt(variance);
+  }
+}
+
+/**
+ * Concrete Observer - Statistics Display
+ *
+ * Keeps a rolling window per measurement so memory stays bounded on a live feed,
+ * plus an exponential moving average that doesn't need any history.
+ */
+class StatisticsDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options
+   * @param {number} options.windowSize - Readings kept per measurement, default: 1000
+   * @param {number} options.windowDuration - Maximum reading age in ms, default: Infinity
+   * @param {number} options.emaAlpha - Smoothing factor of the moving average, default: 0.3
+   * @param {Object} options.units - Units the statistics are kept in, see WeatherDisplay
+   * @param {string} options.locale - Locale used to format numbers, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    const windowOptions = { size: options.windowSize ?? 1000, duration: options.windowDuration };
+    this.windows = {
+      temperature: new RollingWindow(windowOptions),
+      humidity: new RollingWindow(windowOptions),
+      pressure: new RollingWindow(windowOptions),
+    };
+    this.emaAlpha = options.emaAlpha ?? 0.3;
+    this.movingAverages = { temperature: null, humidity: null, pressure: null };
+    this.displayName = 'Statistics Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      this.record(subject.getMeasurements(), subject);
+      this.display();
+    }
+  }
+
+  /**
+   * Receive a batch of measurements at once
+   * @param {Array<Object>} measurements - Snapshots from WeatherStation#getMeasurements
+   * @param {Subject} subject - The subject that delivered the batch
+   */
+  updateBatch(measurements, subject) {
+    if (subject instanceof WeatherStation) {
+      measurements.forEach((measurement) => this.record(measurement, subject));
+      console.log(`\n${this.displayName}: Received a batch of ${measurements.length} readings`);
+      this.display();
+    }
+  }
+
+  /**
+   * Add one reading to every window and moving average, in the display's units
+   * @param {Object} measurement - Snapshot from WeatherStation#getMeasurements
+   * @param {WeatherStation} subject - The station the reading comes from
+   */
+  record(measurement, subject) {
+    for (const field of Object.keys(this.windows)) {
+      const value = this.toDisplayUnits(subject, field, measurement[field]);
+      this.windows[field].push(value, measurement.timestamp);
+
+      const previous = this.movingAverages[field];
+      this.movingAverages[field] =
+        previous === null ? value : this.emaAlpha * value + (1 - this.emaAlpha) * previous;
+    }
+  }
+
+  /**
+   * Get the statistics of one measurement
+   * @param {string} field - 'temperature', 'humidity' or 'pressure'
+   * @returns {Object} Count, average, min, max, median, p95, standard deviation and EMA
+   */
+  getStatistics(field) {
+    const samples = this.windows[field];
+    if (!samples) {
+      throw new Error(`Unknown measurement: ${field}`);
+    }
+
+    return {
+      count: samples.count,
+      average: samples.average(),
+      min: samples.min(),
+      max: samples.max(),
+      median: samples.median(),
+      p95: samples.percentile(95),
+      standardDeviation: samples.standardDeviation(),
+      ema: this.movingAverages[field] ?? 0,
+    };
+  }
+
+  /**
+   * Calculate average temperature
+   * @returns {number} The average temperature
+   */
+  getAverageTemperature() {
+    return this.windows.temperature.average();
+  }
+
+  /**
+   * Calculate minimum temperature
+   * @returns {number} The minimum temperature
+   */
+  getMinTemperature() {
+    return this.windows.temperature.min();
+  }
+
+  /**
+   * Calculate maximum temperature
+   * @returns {number} The maximum temperature
+   */
+  getMaxTemperature() {
+    return this.windows.temperature.max();
+  }
+
+  /**
+   * Display statistics
+   */
+  display() {
+    const number = (value, digits = 1) => formatNumber(value, this.locale, digits);
+    const { symbol } = getUnit('temperature', this.unitFor('temperature'));
+
+    console.log(
+      `\n${this.displayName}: Avg/Max/Min temperature = ${number(
+        this.getAverageTemperature()
+      )}/${number(this.getMaxTemperature())}/${number(this.getMinTemperature())}${symbol}`
+    );
+
+    const { median, p95, standardDeviation, ema } = this.getStatistics('temperature');
+    console.log(
+      `${this.displayName}: Median/p95/StdDev/EMA temperature = ${number(median)}/${number(
+        p95
+      )}/${number(standardDeviation, 2)}/${number(ema)}${symbol}`
+    );
+  }
+}
+
+/**
+ * Zambretti forecast texts, from the most settled (A) to the most stormy (Z)
+ */
+const ZAMBRETTI_FORECASTS = {
+  A: 'Settled fine',
+  B: 'Fine weather',
+  C: 'Becoming fine',
+  D: 'Fine, becoming less settled',
+  E: 'Fine, possible showers',
+  F: 'Fairly fine, improving',
+  G: 'Fairly fine, possible showers early',
+  H: 'Fairly fine, showery later',
+  I: 'Showery early, improving',
+  J: 'Changeable, mending',
+  K: 'Fairly fine, showers likely',
+  L: 'Rather unsettled, clearing later',
+  M: 'Unsettled, probably improving',
+  N: 'Showery, bright intervals',
+  O: 'Showery, becoming less settled',
+  P: 'Changeable, some rain',
+  Q: 'Unsettled, short fine intervals',
+  R: 'Unsettled, rain later',
+  S: 'Unsettled, some rain',
+  T: 'Mostly very unsettled',
+  U: 'Occasional rain, worsening',
+  V: 'Rain at times, very unsettled',
+  W: 'Rain at frequent intervals',
+  X: 'Rain, very unsettled',
+  Y: 'Stormy, may improve',
+  Z: 'Stormy, much rain',
+};
+
+/**
+ * Zambretti letters per pressure tendency, ordered by the Z number of each formula
+ */
+const ZAMBRETTI_TABLES = {
+  falling: { first: 1, letters: 'ABDHORUXZ' },
+  steady: { first: 10, letters: 'ABEKNPSWXZ' },
+  rising: { first: 20, letters: 'ABCFGIJLMQTYZ' },
+};
+
+/**
+ * Pressure Trend Forecaster - Zambretti-style forecasts from the pressure tendency
+ *
+ * The tendency is the least-squares slope of the readings inside the window, in hPa
+ * per 3 hours. High humidity nudges the forecast one step wetter, low humidity one
+ * step drier.
+ */
+class PressureTrendForecaster {
+  /**
+   * @param {Object} options - Forecaster options
+   * @param {number} options.window - Period the tendency is computed over in ms, default: 3 hours
+   * @param {number} options.threshold - Change in hPa per 3 hours above which pressure is
+   *   rising or falling rather than steady, default: 1.6
+   * @param {number} options.humidHumidity - Relative humidity (%) considered humid, default: 85
+   * @param {number} options.dryHumidity - Relative humidity (%) considered dry, default: 40
+   */
+  constructor(options = {}) {
+    this.window = options.window ?? 3 * 60 * 60 * 1000;
+    this.threshold = options.threshold ?? 1.6;
+    this.humidHumidity = options.humidHumidity ?? 85;
+    this.dryHumidity = options.dryHumidity ?? 40;
+    this.readings = []; // Oldest first, { pressure (hPa), humidity, timestamp }
+  }
+
+  /**
+   * Add a reading, dropping the ones older than the window
+   * @param {number} pressure - Pressure in hPa
+   * @param {number} humidity - Relative humidity (%)
+   * @param {number} timestamp - Reading time in ms
+   */
+  record(pressure, humidity, timestamp) {
+    this.readings.push({ pressure, humidity, timestamp });
+    while (this.readings[0].timestamp < timestamp - this.window) {
+      this.readings.shift();
+    }
+  }
+
+  /**
+   * Classify the pressure tendency over the window
+   * @returns {Object} `{ trend, rate, coverage }` - trend is 'rising', 'falling' or 'steady',
+   *   rate is in hPa per 3 hours and coverage is the share of the window spanned by readings
+   */
+  getTendency() {
+    const n = this.readings.length;
+    const span = n > 1 ? this.readings[n - 1].timestamp - this.readings[0].timestamp : 0;
+    if (span === 0) {
+      return { trend: 'steady', rate: 0, coverage: 0 };
+    }
+
+    // Least-squares slope, with time in units of 3 hours
+    const unit = 3 * 60 * 60 * 1000;
+    const xs = this.readings.map(
+      (reading) => (reading.timestamp - this.readings[0].timestamp) / unit
+    );
+    const ys = this.readings.map((reading) => reading.pressure);
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      variance += (xs[i] - meanX) ** 2;
+    }
+    const rate = covariance / variance;
+
+    let trend = 'steady';
+    if (rate >= this.threshold) trend = 'rising';
+    else if (rate <= -this.threshold) trend = 'falling';
+
+    return { trend, rate, coverage: Math.min(1, span / this.window) };
+  }
+
+  /**
+   * Produce a forecast from the current readings
+   * @returns {Object|null} `{ letter, text, trend, rate, confidence }`, null without readings.
+   *   Confidence between 0 and 1 grows with how much of the window the readings cover and
+   *   how clearly the rate sits on one side of the threshold.
+   */
+  forecast() {
+    if (this.readings.length === 0) return null;
+
+    const { trend, rate, coverage } = this.getTendency();
+    const { pressure, humidity } = this.readings[this.readings.length - 1];
+
+    // Simplified Zambretti formulas, pressure in hPa
+    const formulas = {
+      falling: () => 130 - (10 * pressure) / 81,
+      steady: () => 147 - (50 * pressure) / 376,
+      rising: () => 179 - (20 * pressure) / 129,
+    };
+    const table = ZAMBRETTI_TABLES[trend];
+    let index = Math.round(formulas[trend]()) - table.first;
+
+    if (humidity >= this.humidHumidity) index++;
+    else if (humidity <= this.dryHumidity) index--;
+    index = Math.max(0, Math.min(table.letters.length - 1, index));
+
+    const letter = table.letters[index];
+    const clarity = Math.min(1, Math.abs(Math.abs(rate) - this.threshold) / this.threshold);
+
+    return {
+      letter,
+      text: ZAMBRETTI_FORECASTS[letter],
+      trend,
+      rate,
+      confidence: coverage * (0.5 + 0.5 * clarity),
+    };
+  }
+}
+
+/**
+ * Concrete Observer - Forecast Display
+ *
+ * The tendency is fitted over every reading, including those where pressure didn't
+ * change. With a `fields` filter the display only refreshes when those fields change,
+ * but skipped readings still reach the forecaster through updateSkipped.
+ */
+class ForecastDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   * @param {Object} options.forecaster - Options for the PressureTrendForecaster
+   */
+  constructor(options = {}) {
+    super(options);
+    this.forecaster = new PressureTrendForecaster(options.forecaster);
+    this.currentForecast = null;
+    this.displayName = 'Forecast Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject, change) {
+    if (subject instanceof WeatherStation) {
+      this.recordReading(subject, change);
+      this.display();
+    }
+  }
+
+  /**
+   * Record a reading the `fields` filter skipped, without refreshing the display
+   * @param {WeatherStation} subject - The station
+   * @param {ChangeRecord} change - The skipped change
+   */
+  updateSkipped(subject, change) {
+    if (subject instanceof WeatherStation) {
+      this.recordReading(subject, change);
+    }
+  }
+
+  /**
+   * Feed the station's current reading to the forecaster
+   * @param {WeatherStation} subject - The station
+   * @param {ChangeRecord} change - Pushed change, if any
+   */
+  recordReading(subject, change) {
+    // Use the pushed values when available, otherwise pull them
+    const { pressure, humidity } = change ? change.current : subject.getState();
+    this.stationUnits = subject.getUnits();
+    const pressureHpa = convertUnit('pressure', pressure, this.stationUnits.pressure, 'hPa');
+    const relativeHumidity = convertUnit('humidity', humidity, this.stationUnits.humidity, '%');
+
+    this.forecaster.record(pressureHpa, relativeHumidity, subject.getMeasurements().timestamp);
+    this.currentForecast = this.forecaster.forecast();
+  }
+
+  /**
+   * Get the latest forecast
+   * @returns {Object|null} See PressureTrendForecaster#forecast
+   */
+  getForecast() {
+    return this.currentForecast;
+  }
+
+  /**
+   * Display forecast
+   */
+  display() {
+    const { text, trend, rate, confidence } = this.currentForecast;
+    // Pressure units only differ by a factor, so a rate converts like a reading
+    const displayRate = convertUnit('pressure', rate, 'hPa', this.unitFor('pressure'));
+    const rateText = `${this.format('pressure', displayRate, 2)}/3h`;
+    const confidenceText = `${formatNumber(confidence * 100, this.locale, 0)}%`;
+
+    console.log(`\n${this.displayName}: Forecast: `);
+    console.log(`${text} (pressure ${trend} ${rateText}, confidence ${confidenceText})`);
+  }
+}
+
+/**
+ * Concrete Observer - Heat Index Display
+ */
+class HeatIndexDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.heatIndex = 0;
+    this.displayName = 'Heat Index Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      const units = subject.getUnits();
+      const t = convertUnit('temperature', subject.getTemperature(), units.temperature, 'C');
+      const rh = convertUnit('humidity', subject.getHumidity(), units.humidity, '%');
+      // Complex formula to calculate heat index
+      const heatIndex = this.computeHeatIndex(t, rh);
+      this.stationUnits = units;
+      this.heatIndex = convertUnit('temperature', heatIndex, 'C', this.unitFor('temperature'));
+      this.display();
+    }
+  }
+
+  /**
+   * Compute heat index using temperature and humidity
+   * @param {number} t - Temperature in Celsius
+   * @param {number} rh - Relative humidity (%)
+   * @returns {number} Heat index
+   */
+  computeHeatIndex(t, rh) {
+    // Convert Celsius to Fahrenheit for the formula
+    const tf = convertUnit('temperature', t, 'C', 'F');
+
+    // Heat index formula (simplified version)
+    let index =
+      16.923 +
+      0.185212 * tf +
+      5.37941 * rh -
+      0.100254 * tf * rh +
+      0.00941695 * (tf * tf) +
+      0.00728898 * (rh * rh) +
+      0.000345372 * (tf * tf * rh) -
+      0.000814971 * (tf * rh * rh) +
+      0.0000102102 * (tf * tf * rh * rh) -
+      0.000038646 * (tf * tf * tf) +
+      0.0000291583 * (rh * rh * rh) +
+      0.00000142721 * (tf * tf * tf * rh) +
+      0.000000197483 * (tf * rh * rh * rh) -
+      0.0000000218429 * (tf * tf * tf * rh * rh) +
+      0.000000000843296 * (tf * tf * rh * rh * rh) -
+      0.0000000000481975 * (tf * tf * tf * rh * rh * rh);
+
+    // Convert back to Celsius
+    return convertUnit('temperature', index, 'F', 'C');
+  }
+
+  /**
+   * Display heat index
+   */
+  display() {
+    console.log(
+      `\n${this.displayName}: Heat Index is ${this.format('temperature', this.heatIndex)}`
+    );
+  }
+}
+
+/**
+ * Concrete Observer - Dew Point Display
+ */
+class DewPointDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.dewPoint = 0;
+    this.displayName = 'Dew Point Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      const units = subject.getUnits();
+      const t = convertUnit('temperature', subject.getTemperature(), units.temperature, 'C');
+      const rh = convertUnit('humidity', subject.getHumidity(), units.humidity, '%');
+      this.stationUnits = units;
+      this.dewPoint = convertUnit(
+        'temperature',
+        this.computeDewPoint(t, rh),
+        'C',
+        this.unitFor('temperature')
+      );
+      this.display();
+    }
+  }
+
+  /**
+   * Compute the dew point with the Magnus formula
+   * @param {number} t - Temperature in Celsius
+   * @param {number} rh - Relative humidity (%)
+   * @returns {number} Dew point in Celsius
+   */
+  computeDewPoint(t, rh) {
+    const a = 17.62;
+    const b = 243.12;
+    const gamma = Math.log(Math.max(rh, 0.01) / 100) + (a * t) / (b + t);
+    return (b * gamma) / (a - gamma);
+  }
+
+  /**
+   * Get the latest value
+   * @returns {Object} Dew point and its unit
+   */
+  getValues() {
+    return { dewPoint: this.dewPoint, unit: this.unitFor('temperature') };
+  }
+
+  /**
+   * Display dew point
+   */
+  display() {
+    console.log(`\n${this.displayName}: Dew point is ${this.format('temperature', this.dewPoint)}`);
+  }
+}
+
+/**
+ * Concrete Observer - Absolute Humidity Display
+ */
+class AbsoluteHumidityDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.absoluteHumidity = 0;
+    this.displayName = 'Absolute Humidity Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      const units = subject.getUnits();
+      const t = convertUnit('temperature', subject.getTemperature(), units.temperature, 'C');
+      const rh = convertUnit('humidity', subject.getHumidity(), units.humidity, '%');
+      this.absoluteHumidity = this.computeAbsoluteHumidity(t, rh);
+      this.display();
+    }
+  }
+
+  /**
+   * Compute the mass of water vapour per volume of air
+   * @param {number} t - Temperature in Celsius
+   * @param {number} rh - Relative humidity (%)
+   * @returns {number} Absolute humidity in g/m³
+   */
+  computeAbsoluteHumidity(t, rh) {
+    const saturationPressure = 6.112 * Math.exp((17.67 * t) / (t + 243.5)); // hPa
+    return (saturationPressure * rh * 2.1674) / (273.15 + t);
+  }
+
+  /**
+   * Get the latest value
+   * @returns {Object} Absolute humidity in g/m³
+   */
+  getValues() {
+    return { absoluteHumidity: this.absoluteHumidity, unit: 'g/m³' };
+  }
+
+  /**
+   * Display absolute humidity
+   */
+  display() {
+    console.log(
+      `\n${this.displayName}: Absolute humidity is ${formatNumber(
+        this.absoluteHumidity,
+        this.locale
+      )} g/m³`
+    );
+  }
+}
+
+/**
+ * Concrete Observer - Wind Chill Display
+ */
+class WindChillDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.windChill = 0;
+    this.applicable = false;
+    this.displayName = 'Wind Chill Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      const units = subject.getUnits();
+      const t = convertUnit('temperature', subject.getTemperature(), units.temperature, 'C');
+      const v = convertUnit('windSpeed', subject.getWindSpeed(), units.windSpeed, 'km/h');
+      const { windChill, applicable } = this.computeWindChill(t, v);
+      this.stationUnits = units;
+      this.windChill = convertUnit('temperature', windChill, 'C', this.unitFor('temperature'));
+      this.applicable = applicable;
+      this.display();
+    }
+  }
+
+  /**
+   * Compute the wind chill with the North American formula
+   * The formula only holds at or below 10°C with wind above 4.8 km/h; otherwise the
+   * air temperature is returned and `applicable` is false.
+   * @param {number} t - Temperature in Celsius
+   * @param {number} v - Wind speed in km/h
+   * @returns {Object} `{ windChill, applicable }` with the wind chill in Celsius
+   */
+  computeWindChill(t, v) {
+    if (t > 10 || v <= 4.8) {
+      return { windChill: t, applicable: false };
+    }
+
+    const windFactor = v ** 0.16;
+    return {
+      windChill: 13.12 + 0.6215 * t - 11.37 * windFactor + 0.3965 * t * windFactor,
+      applicable: true,
+    };
+  }
+
+  /**
+   * Get the latest value
+   * @returns {Object} Wind chill, its unit and whether the formula applied
+   */
+  getValues() {
+    return {
+      windChill: this.windChill,
+      unit: this.unitFor('temperature'),
+      applicable: this.applicable,
+    };
+  }
+
+  /**
+   * Display wind chill
+   */
+  display() {
+    const feelsLike = this.format('temperature', this.windChill);
+    console.log(
+      `\n${this.displayName}: ${
+        this.applicable ? `Feels like ${feelsLike}` : `No wind chill (${feelsLike})`
+      }`
+    );
+  }
+}
+
+/**
+ * Concrete Observer - Comfort Index Display, based on the Canadian humidex
+ */
+class ComfortIndexDisplay extends WeatherDisplay {
+  /**
+   * @param {Object} options - Display options, see WeatherDisplay
+   */
+  constructor(options = {}) {
+    super(options);
+    this.humidex = 0;
+    this.comfort = '';
+    this.displayName = 'Comfort Index Display';
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject) {
+    if (subject instanceof WeatherStation) {
+      const units = subject.getUnits();
+      const t = convertUnit('temperature', subject.getTemperature(), units.temperature, 'C');
+      const rh = convertUnit('humidity', subject.getHumidity(), units.humidity, '%');
+      this.humidex = this.computeHumidex(t, rh);
+      this.comfort = this.classifyHumidex(this.humidex);
+      this.display();
+    }
+  }
+
+  /**
+   * Compute the humidex
+   * @param {number} t - Temperature in Celsius
+   * @param {number} rh - Relative humidity (%)
+   * @returns {number} Humidex, a dimensionless number comparable to °C
+   */
+  computeHumidex(t, rh) {
+    const vapourPressure = 6.112 * 10 ** ((7.5 * t) / (237.7 + t)) * (rh / 100); // hPa
+    return t + (5 / 9) * (vapourPressure - 10);
+  }
+
+  /**
+   * Describe how a humidex value feels
+   * @param {number} humidex - Humidex value
+   * @returns {string} Comfort category
+   */
+  classifyHumidex(humidex) {
+    if (humidex < 30) return 'Little or no discomfort';
+    if (humidex < 40) return 'Some discomfort';
+    if (humidex < 46) return 'Great discomfort, avoid exertion';
+    if (humidex < 54) return 'Dangerous';
+    return 'Heat stroke imminent';
+  }
+
+  /**
+   * Get the latest value
+   * @returns {Object} Humidex and comfort category
+   */
+  getValues() {
+    return { humidex: this.humidex, comfort: this.comfort };
+  }
+
+  /**
+   * Display comfort index
+   */
+  display() {
+    console.log(
+      `\n${this.displayName}: Humidex ${formatNumber(this.humidex, this.locale)} - ${this.comfort}`
+    );
+  }
+}
+
+/**
+ * Market data channels observers can subscribe to, per symbol
+ * - price: last price changed, the default for plain symbol subscriptions
+ * - quote: best bid or ask changed
+ * - trade: a trade printed
+ * - candle: an OHLC candle closed
+ * - session: the trading day opened or closed
+ */
+const MARKET_CHANNELS = ['price', 'quote', 'trade', 'candle', 'session'];
+
+/**
+ * Price levels on both sides of the market for one symbol
+ */
+class OrderBook {
+  /**
+   * @param {string} symbol - Stock symbol
+   */
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.bids = new Map(); // price -> size
+    this.asks = new Map();
+  }
+
+  /**
+   * Set the resting size at a price level
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} price - Price level
+   * @param {number} size - Resting size, 0 removes the level
+   */
+  setLevel(side, price, size) {
+    if (side !== 'bid' && side !== 'ask') {
+      throw new Error(`Unknown order book side: ${side}`);
+    }
+    const levels = side === 'bid' ? this.bids : this.asks;
+    if (size > 0) {
+      levels.set(price, size);
+    } else {
+      levels.delete(price);
+    }
+  }
+
+  /**
+   * Remove every level on both sides
+   */
+  clear() {
+    this.bids.clear();
+    this.asks.clear();
+  }
+
+  /**
+   * Get the best price levels, best first
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} depth - Number of levels, default: all
+   * @returns {Array<Object>} Levels as `{ price, size }`
+   */
+  getLevels(side, depth = Infinity) {
+    const levels = side === 'bid' ? this.bids : this.asks;
+    return [...levels.entries()]
+      .map(([price, size]) => ({ price, size }))
+      .sort((a, b) => (side === 'bid' ? b.price - a.price : a.price - b.price))
+      .slice(0, depth);
+  }
+
+  /**
+   * Get the top of the book
+   * @returns {Object} Best bid and ask with sizes, spread and mid price; missing sides are null
+   */
+  getQuote() {
+    const [bid] = this.getLevels('bid', 1);
+    const [ask] = this.getLevels('ask', 1);
+    return {
+      symbol: this.symbol,
+      bid: bid ? bid.price : null,
+      bidSize: bid ? bid.size : 0,
+      ask: ask ? ask.price : null,
+      askSize: ask ? ask.size : 0,
+      spread: bid && ask ? ask.price - bid.price : null,
+      mid: bid && ask ? (bid.price + ask.price) / 2 : null,
+    };
+  }
+}
+
+/**
+ * Price history store keeping the most recent records in a fixed-size ring buffer
+ *
+ * Price stores hold `{ symbol, price, timestamp }` records and implement
+ * append(record) and query(filter).
+ */
+class MemoryPriceStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.capacity - Records kept before the oldest is overwritten,
+   *   default: 10000
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? 10000;
+    this.buffer = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  /**
+   * Store a record, overwriting the oldest one when full
+   * @param {Object} record - `{ symbol, price, timestamp }`
+   */
+  append(record) {
+    this.buffer[(this.start + this.size) % this.capacity] = record;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get stored records
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.symbol - Only this symbol
+   * @param {number} filter.since - Only records at or after this time in ms
+   * @param {number} filter.until - Only records at or before this time in ms
+   * @returns {Array<Object>} Matching records, oldest first
+   */
+  query(filter = {}) {
+    const records = [];
+    for (let i = 0; i < this.size; i++) {
+      records.push(this.buffer[(this.start + i) % this.capacity]);
+    }
+    return filterPriceRecords(records, filter);
+  }
+}
+
+/**
+ * Price history store appending records to a file, one JSON object per line
+ *
+ * Nothing is cached: every query reads the file again, so the history survives restarts
+ * and can be shared with other processes or used as backtest input.
+ */
+class FilePriceStore {
+  /**
+   * @param {string} filePath - File to append to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Store a record
+   * @param {Object} record - `{ symbol, price, timestamp }`
+   */
+  append(record) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+  }
+
+  /**
+   * Get stored records, skipping lines that can't be parsed
+   * @param {Object} filter - Optional filters, see MemoryPriceStore#query
+   * @returns {Array<Object>} Matching records in file order
+   */
+  query(filter = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const records = [];
+    fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          console.log(`FilePriceStore: Skipped malformed line ${index + 1}: ${error.message}`);
+        }
+      });
+    return filterPriceRecords(records, filter);
+  }
+}
+
+/**
+ * Apply the symbol and time filters shared by the price stores
+ * @param {Array<Object>} records - Price records
+ * @param {Object} filter - `{ symbol, since, until }`, all optional
+ * @returns {Array<Object>} Matching records
+ */
+function filterPriceRecords(records, { symbol, since = -Infinity, until = Infinity }) {
+  return records.filter(
+    (record) =>
+      (!symbol || record.symbol === symbol) &&
+      record.timestamp >= since &&
+      record.timestamp <= until
+  );
+}
+
+/**
+ * More sophisticated Subject - Stock Market Data
+ *
+ * Besides the last price per symbol, the market keeps an order book, the trade tape,
+ * OHLC candles aggregated per interval and the open/close of the trading day. Observers
+ * subscribe per symbol and channel through attach(): a plain 'AAPL' subscribes to price
+ * changes as before, 'AAPL:trade' to AAPL trades, '*:candle' to candles of every symbol
+ * and 'AAPL:*' to everything about AAPL. Observers receive update(market, symbol, event)
+ * with event = `{ channel, symbol, data, timestamp, replayed }`.
+ *
+ * With a history store, every price change is recorded so observers attaching late can
+ * be replayed what they missed.
+ */
+class StockMarket extends Subject {
+  /**
+   * @param {Object} options - Market options
+   * @param {Object} options.clock - Clock used for timestamps, default: real time
+   * @param {number} options.candleInterval - Candle length in ms, default: 60000
+   * @param {number} options.maxCandles - Closed candles kept per symbol, default: 500
+   * @param {Object} options.historyStore - Price store recording every price change,
+   *   e.g. a MemoryPriceStore or FilePriceStore, default: none
+   */
+  constructor(options = {}) {
+    super();
+    this.observers = new Map(); // Using Map to store observers with their topics
+    this.stocks = new Map(); // Store stock prices
+    this.clock = options.clock || systemClock;
+    this.candleInterval = options.candleInterval ?? 60000;
+    this.maxCandles = options.maxCandles ?? 500;
+    this.books = new Map(); // symbol -> OrderBook
+    this.openCandles = new Map(); // symbol -> candle being built
+    this.candles = new Map(); // symbol -> closed candles, oldest first
+    this.sessions = new Map(); // symbol -> { open, high, low, close, volume, previousClose }
+    this.dayOpen = false;
+    this.historyStore = options.historyStore || null;
+    this.observerIds = new Map(); // stable id -> observer
+  }
+
+  /**
+   * Attach an observer for specific stocks
+   * @param {Observer} observer - The observer to attach
+   * @param {Array<string>} stocks - Subscriptions: a symbol, or 'SYMBOL:channel' where either
+   *   part may be '*'; empty subscribes to price changes of all stocks
+   * @param {Object} options - Attach options
+   * @param {string} options.replay - Catch the observer up on subscribed prices: 'none',
+   *   'snapshot' for the latest price per symbol, or 'full' for every stored price change,
+   *   default: 'none'
+   * @param {number} options.since - With 'full', only replay changes from this time in ms
+   * @param {string} options.id - Stable id identifying the observer across restarts,
+   *   default: the id it was attached with before, else `observer.id`
+   */
+  attach(observer, stocks = [], options = {}) {
+    stocks.forEach((subscription) => {
+      const [, channel = 'price'] = subscription.split(':');
+      if (channel !== '*' && !MARKET_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown market channel: ${channel}`);
+      }
+    });
+    const { replay = 'none', since } = options;
+    if (!['none', 'snapshot', 'full'].includes(replay)) {
+      throw new Error(`Unknown replay mode: ${replay}`);
+    }
+    if (replay === 'full' && !this.historyStore) {
+      throw new Error('StockMarket: Full replay needs a history store');
+    }
+    const previousId = this.getObserverId(observer);
+    const id = options.id ?? previousId ?? observer.id ?? null;
+    const existing = id !== null ? this.observerIds.get(id) : undefined;
+    if (existing && existing !== observer) {
+      throw new Error(`StockMarket: Observer id ${id} is already taken`);
+    }
+
+    // Register only once every option is known to be valid
+    if (previousId !== null && previousId !== id) {
+      this.observerIds.delete(previousId);
+    }
+    if (id !== null) {
+      this.observerIds.set(id, observer);
+    }
+    console.log(`StockMarket: Attached observer for stocks: ${stocks.join(', ') || 'ALL'}`);
+    this.observers.set(observer, stocks);
+
+    if (replay === 'snapshot') {
+      const snapshot = [...this.stocks.entries()].map(([symbol, price]) => ({
+        symbol,
+        price,
+        timestamp: this.clock.now(),
+      }));
+      this.replayTo(observer, stocks, snapshot);
+    } else if (replay === 'full') {
+      this.replayTo(observer, stocks, this.historyStore.query({ since }));
+    }
+  }
+
+  /**
+   * Deliver past price changes to one observer, flagged as replayed
+   * @param {Observer} observer - The observer to catch up
+   * @param {Array<string>} stocks - The observer's subscriptions
+   * @param {Array<Object>} records - Price records, oldest first
+   */
+  replayTo(observer, stocks, records) {
+    const relevant = records.filter((record) => this.isSubscribed(stocks, record.symbol, 'price'));
+    console.log(`StockMarket: Replaying ${relevant.length} price changes to the new observer`);
+    for (const { symbol, price, timestamp } of relevant) {
+      const event = { channel: 'price', symbol, data: price, timestamp, replayed: true };
+      try {
+        observer.update(this, symbol, event);
+      } catch (error) {
+        this.handleObserverError(error, observer);
+      }
+    }
+  }
+
+  /**
+   * Get recorded price changes
+   * @param {Object} filter - `{ symbol, since, until }`, all optional
+   * @returns {Array<Object>} Price records, oldest first
+   */
+  getHistory(filter = {}) {
+    if (!this.historyStore) {
+      throw new Error('StockMarket: No history store configured');
+    }
+    return this.historyStore.query(filter);
+  }
+
+  /**
+   * Detach an observer
+   * @param {Observer} observer - The observer to detach
+   */
+  detach(observer) {
     const isExist = this.observers.has(observer);
     if (!isExist) {
       console.log('StockMarket: Nonexistent observer.');
       return;
     }
 
-    this.observers.delete(observer);
-    console.log('StockMarket: Detached an observer.');
+    this.observers.delete(observer);
+    const id = this.getObserverId(observer);
+    if (id !== null) {
+      this.observerIds.delete(id);
+    }
+    console.log('StockMarket: Detached an observer.');
+  }
+
+  /**
+   * Get the stable id an observer was attached with
+   * @param {Observer} observer - The observer
+   * @returns {string|null} The id, or null when it was attached without one
+   */
+  getObserverId(observer) {
+    for (const [id, candidate] of this.observerIds.entries()) {
+      if (candidate === observer) return id;
+    }
+    return null;
+  }
+
+  /**
+   * Get an attached observer by its stable id
+   * @param {string} id - Observer id
+   * @returns {Observer|undefined} The observer
+   */
+  getObserver(id) {
+    return this.observerIds.get(id);
+  }
+
+  /**
+   * Get the subscriptions of every observer attached with an id
+   * @returns {Array<Object>} `{ id, stocks }` entries, ready for JSON.stringify
+   */
+  getSubscriptions() {
+    return [...this.observerIds.entries()].map(([id, observer]) => ({
+      id,
+      stocks: [...this.observers.get(observer)],
+    }));
+  }
+
+  /**
+   * Check whether a subscription list covers a symbol and channel
+   * @param {Array<string>} stocks - The observer's subscriptions
+   * @param {string} symbol - Stock symbol
+   * @param {string} channel - Market channel
+   * @returns {boolean} True when the observer should be notified
+   */
+  isSubscribed(stocks, symbol, channel) {
+    if (stocks.length === 0) {
+      return channel === 'price';
+    }
+    return stocks.some((subscription) => {
+      const [subscribedSymbol, subscribedChannel = 'price'] = subscription.split(':');
+      return (
+        (subscribedSymbol === '*' || subscribedSymbol === symbol) &&
+        (subscribedChannel === '*' || subscribedChannel === channel)
+      );
+    });
+  }
+
+  /**
+   * Notify only relevant observers about stock changes
+   * Rather than change records, observers receive `(market, symbol, event)` where the
+   * event carries the channel payload, so they don't need to pull it.
+   * @param {string} symbol - The stock symbol that changed
+   * @param {string} channel - What changed, default: 'price'
+   * @param {any} data - Channel payload, default: the last price
+   */
+  notify(symbol, channel = 'price', data = this.stocks.get(symbol)) {
+    console.log(`StockMarket: Notifying observers about ${symbol} ${channel} changes...`);
+    const event = { channel, symbol, data, timestamp: this.clock.now(), replayed: false };
+
+    for (const [observer, stocks] of [...this.observers.entries()]) {
+      // If observer subscribed to specific stocks, check if the changed stock is in their list
+      if (this.isSubscribed(stocks, symbol, channel)) {
+        try {
+          observer.update(this, symbol, event);
+        } catch (error) {
+          this.handleObserverError(error, observer);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update stock price
+   *
+   * Overwrites the last price without printing a trade; use recordTrade() to feed the
+   * tape, candles and session statistics as well.
+   * @param {string} symbol - Stock symbol
+   * @param {number} price - New stock price
+   */
+  setStockPrice(symbol, price) {
+    console.log(`StockMarket: ${symbol} price updated to $${price}`);
+    this.storePrice(symbol, price);
+    this.notify(symbol);
+  }
+
+  /**
+   * Set the last price and record it in the history store
+   * @param {string} symbol - Stock symbol
+   * @param {number} price - New price
+   */
+  storePrice(symbol, price) {
+    this.stocks.set(symbol, price);
+    if (this.historyStore) {
+      this.historyStore.append({ symbol, price, timestamp: this.clock.now() });
+    }
+  }
+
+  /**
+   * Get the order book of a symbol, creating an empty one on first use
+   * @param {string} symbol - Stock symbol
+   * @returns {OrderBook} The symbol's order book
+   */
+  getOrderBook(symbol) {
+    if (!this.books.has(symbol)) {
+      this.books.set(symbol, new OrderBook(symbol));
+    }
+    return this.books.get(symbol);
+  }
+
+  /**
+   * Change one price level of the order book
+   * Quote observers are only notified when the top of the book changes.
+   * @param {string} symbol - Stock symbol
+   * @param {string} side - 'bid' or 'ask'
+   * @param {number} price - Price level
+   * @param {number} size - Resting size, 0 removes the level
+   */
+  updateOrderBook(symbol, side, price, size) {
+    const book = this.getOrderBook(symbol);
+    const before = book.getQuote();
+    book.setLevel(side, price, size);
+    const quote = book.getQuote();
+    if (
+      quote.bid !== before.bid ||
+      quote.bidSize !== before.bidSize ||
+      quote.ask !== before.ask ||
+      quote.askSize !== before.askSize
+    ) {
+      this.notify(symbol, 'quote', quote);
+    }
+  }
+
+  /**
+   * Replace the book of a symbol with a single bid and ask level
+   * @param {string} symbol - Stock symbol
+   * @param {Object} quote - `{ bid, bidSize, ask, askSize }`
+   */
+  setQuote(symbol, { bid, bidSize, ask, askSize }) {
+    if (bid >= ask) {
+      throw new Error(`Crossed quote for ${symbol}: bid ${bid} >= ask ${ask}`);
+    }
+    const book = this.getOrderBook(symbol);
+    book.clear();
+    book.setLevel('bid', bid, bidSize);
+    book.setLevel('ask', ask, askSize);
+    console.log(`StockMarket: ${symbol} quoted ${bidSize} @ $${bid} / ${askSize} @ $${ask}`);
+    this.notify(symbol, 'quote', book.getQuote());
+  }
+
+  /**
+   * Get the top of the book for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Object} See OrderBook#getQuote
+   */
+  getQuote(symbol) {
+    return this.getOrderBook(symbol).getQuote();
+  }
+
+  /**
+   * Print a trade: updates the last price, the current candle and the session
+   * @param {string} symbol - Stock symbol
+   * @param {number} price - Trade price
+   * @param {number} volume - Number of shares traded
+   * @param {number} timestamp - Trade time in ms, default: now on the market clock
+   * @returns {Object} The trade
+   */
+  recordTrade(symbol, price, volume, timestamp = this.clock.now()) {
+    if (!(price > 0) || !(volume > 0)) {
+      throw new Error(`Invalid trade for ${symbol}: ${volume} @ ${price}`);
+    }
+    const trade = { symbol, price, volume, timestamp };
+    console.log(`StockMarket: ${symbol} traded ${volume} @ $${price}`);
+
+    this.updateCandle(trade);
+    this.updateSession(trade);
+    this.notify(symbol, 'trade', trade);
+    if (this.stocks.get(symbol) !== price) {
+      this.storePrice(symbol, price);
+      this.notify(symbol);
+    }
+    return trade;
+  }
+
+  /**
+   * Fold a trade into the symbol's open candle, closing the previous one when the trade
+   * falls into a later interval
+   * @param {Object} trade - The trade
+   */
+  updateCandle(trade) {
+    const start = Math.floor(trade.timestamp / this.candleInterval) * this.candleInterval;
+    let candle = this.openCandles.get(trade.symbol);
+    if (candle && candle.start !== start) {
+      this.closeCandle(trade.symbol);
+      candle = null;
+    }
+    if (!candle) {
+      candle = {
+        symbol: trade.symbol,
+        start,
+        end: start + this.candleInterval,
+        open: trade.price,
+        high: trade.price,
+        low: trade.price,
+        close: trade.price,
+        volume: 0,
+        trades: 0,
+      };
+      this.openCandles.set(trade.symbol, candle);
+    }
+    candle.high = Math.max(candle.high, trade.price);
+    candle.low = Math.min(candle.low, trade.price);
+    candle.close = trade.price;
+    candle.volume += trade.volume;
+    candle.trades++;
+  }
+
+  /**
+   * Close the open candle of a symbol and notify candle observers
+   * @param {string} symbol - Stock symbol
+   */
+  closeCandle(symbol) {
+    const candle = this.openCandles.get(symbol);
+    if (!candle) return;
+
+    this.openCandles.delete(symbol);
+    const history = this.candles.get(symbol) || [];
+    history.push(candle);
+    if (history.length > this.maxCandles) {
+      history.shift();
+    }
+    this.candles.set(symbol, history);
+    this.notify(symbol, 'candle', candle);
+  }
+
+  /**
+   * Close every candle whose interval has ended on the market clock
+   * Candles otherwise only close when the next trade for their symbol arrives.
+   */
+  closeElapsedCandles() {
+    const now = this.clock.now();
+    [...this.openCandles.values()]
+      .filter((candle) => candle.end <= now)
+      .forEach((candle) => this.closeCandle(candle.symbol));
+  }
+
+  /**
+   * Get closed candles of a symbol
+   * @param {string} symbol - Stock symbol
+   * @param {number} count - Most recent candles to return, default: all kept
+   * @returns {Array<Object>} Candles, oldest first
+   */
+  getCandles(symbol, count = Infinity) {
+    const history = this.candles.get(symbol) || [];
+    return history.slice(Math.max(0, history.length - count));
+  }
+
+  /**
+   * Start a trading day
+   * The day's open of each symbol is set by its first trade.
+   */
+  openDay() {
+    if (this.dayOpen) {
+      throw new Error('StockMarket: The trading day is already open');
+    }
+    console.log('StockMarket: Trading day opened');
+    this.dayOpen = true;
+    for (const [symbol, session] of this.sessions.entries()) {
+      this.sessions.set(symbol, this.createSession(session.close));
+    }
+    for (const symbol of this.sessions.keys()) {
+      this.notify(symbol, 'session', this.getSession(symbol));
+    }
+  }
+
+  /**
+   * End the trading day, closing every open candle and fixing each symbol's close
+   */
+  closeDay() {
+    if (!this.dayOpen) {
+      throw new Error('StockMarket: The trading day is not open');
+    }
+    console.log('StockMarket: Trading day closed');
+    [...this.openCandles.keys()].forEach((symbol) => this.closeCandle(symbol));
+    this.dayOpen = false;
+    for (const [symbol, session] of this.sessions.entries()) {
+      session.close = this.stocks.get(symbol) ?? null;
+      this.notify(symbol, 'session', this.getSession(symbol));
+    }
+  }
+
+  /**
+   * Create empty session statistics
+   * @param {number|null} previousClose - Close of the previous day
+   * @returns {Object} The session
+   */
+  createSession(previousClose = null) {
+    return { open: null, high: null, low: null, close: null, volume: 0, previousClose };
+  }
+
+  /**
+   * Fold a trade into the symbol's session statistics
+   * @param {Object} trade - The trade
+   */
+  updateSession(trade) {
+    if (!this.sessions.has(trade.symbol)) {
+      this.sessions.set(trade.symbol, this.createSession());
+    }
+    if (!this.dayOpen) return;
+
+    const session = this.sessions.get(trade.symbol);
+    if (session.open === null) {
+      session.open = trade.price;
+      session.high = trade.price;
+      session.low = trade.price;
+    }
+    session.high = Math.max(session.high, trade.price);
+    session.low = Math.min(session.low, trade.price);
+    session.volume += trade.volume;
+  }
+
+  /**
+   * Get the day's statistics for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Object|null} `{ open, high, low, close, volume, previousClose, isOpen }`
+   */
+  getSession(symbol) {
+    const session = this.sessions.get(symbol);
+    return session ? { symbol, ...session, isOpen: this.dayOpen } : null;
+  }
+
+  /**
+   * Get current price for a stock
+   * @param {string} symbol - Stock symbol
+   * @returns {number} Current stock price
+   */
+  getStockPrice(symbol) {
+    return this.stocks.get(symbol);
+  }
+
+  /**
+   * Get all current stock prices
+   * @returns {Map} Map of all stock prices
+   */
+  getAllStocks() {
+    return new Map(this.stocks);
+  }
+
+  /**
+   * Emit the market event of every update
+   * toObservable() takes the same subscriptions and options as attach().
+   * @param {string} symbol - Stock symbol
+   * @param {Object} event - `{ channel, symbol, data, timestamp, replayed }`
+   * @returns {Object} The event
+   */
+  toObservableValue(symbol, event) {
+    return event;
+  }
+}
+
+/**
+ * Feeds recorded prices through StockMarket#setStockPrice, faster than real time
+ *
+ * The backtest runs on its own StockMarket, `runner.market`, so live markets never see
+ * its prices; attach the observers under test to it before calling run(). That market
+ * uses a simulated clock that follows the recorded timestamps, so time-based logic in
+ * observers (alert windows, candles) sees the original timing. The real delay between
+ * records is the recorded gap divided by `speed`.
+ */
+class BacktestRunner {
+  /**
+   * @param {Object} source - A price store to read from, or the path of a FilePriceStore file
+   * @param {Object} options - Backtest options
+   * @param {number} options.speed - Speed multiplier, Infinity for no delays, default: Infinity
+   * @param {Object} options.clock - Clock used for the real delays, default: real time
+   * @param {Object} options.filter - Record filter passed to the store's query()
+   * @param {Object} options.historyStore - Store recording the backtest's prices,
+   *   default: none, prices are not recorded
+   * @param {Object} options.market - Further StockMarket options, e.g. candleInterval
+   */
+  constructor(source, options = {}) {
+    this.store = typeof source === 'string' ? new FilePriceStore(source) : source;
+    this.speed = options.speed ?? Infinity;
+    this.clock = options.clock || systemClock;
+    this.filter = options.filter || {};
+    this.simulatedClock = new ManualClock();
+    this.market = new StockMarket({
+      ...options.market,
+      clock: this.simulatedClock,
+      historyStore: options.historyStore || null,
+    });
+  }
+
+  /**
+   * Run the backtest
+   * @returns {Promise<Object>} Resolves with `{ records, from, to }` once every record was fed
+   */
+  async run() {
+    const records = this.store.query(this.filter);
+    if (records.length === 0) {
+      return { records: 0, from: null, to: null };
+    }
+
+    // Start the simulated clock at the first record without waiting for it
+    const simulatedClock = this.simulatedClock;
+    if (simulatedClock.now() < records[0].timestamp) {
+      simulatedClock.advance(records[0].timestamp - simulatedClock.now());
+    }
+    console.log(`BacktestRunner: Replaying ${records.length} prices at ${this.speed}x`);
+    for (const record of records) {
+      const gap = record.timestamp - simulatedClock.now();
+      if (gap > 0) {
+        await this.wait(gap / this.speed);
+        simulatedClock.advance(gap);
+      }
+      this.market.setStockPrice(record.symbol, record.price);
+    }
+    return {
+      records: records.length,
+      from: records[0].timestamp,
+      to: records[records.length - 1].timestamp,
+    };
+  }
+
+  /**
+   * Wait on the real clock
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  wait(ms) {
+    if (!Number.isFinite(ms)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.clock.setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Concrete Observer - Stock Dashboard
+ */
+class StockDashboard extends Observer {
+  constructor(name = 'Stock Dashboard') {
+    super();
+    this.name = name;
+    this.stocks = new Map();
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject, symbol, event) {
+    if (subject instanceof StockMarket) {
+      if (event && event.channel !== 'price') return;
+      if (symbol) {
+        // Single stock update
+        this.stocks.set(symbol, event ? event.data : subject.getStockPrice(symbol));
+        this.displayStock(symbol);
+      } else {
+        // Full update
+        this.stocks = subject.getAllStocks();
+        this.displayAll();
+      }
+    }
+  }
+
+  /**
+   * Display info for a specific stock
+   * @param {string} symbol - Stock symbol
+   */
+  displayStock(symbol) {
+    const price = this.stocks.get(symbol);
+    console.log(`\n${this.name}: ${symbol} is now $${price.toFixed(2)}`);
+  }
+
+  /**
+   * Display all stocks
+   */
+  displayAll() {
+    console.log(`\n${this.name}: Current Stock Prices:`);
+    for (const [symbol, price] of this.stocks.entries()) {
+      console.log(`- ${symbol}: $${price.toFixed(2)}`);
+    }
+  }
+}
+
+/**
+ * Concrete Observer - Ticker Tape showing quotes, trades, candles and sessions
+ */
+class TickerTape extends Observer {
+  constructor(name = 'Ticker Tape') {
+    super();
+    this.name = name;
+    this.latest = new Map(); // symbol -> { quote, trade, candle, session }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject, symbol, event) {
+    if (!(subject instanceof StockMarket) || !event) return;
+
+    const latest = this.latest.get(symbol) || {};
+    latest[event.channel] = event.data;
+    this.latest.set(symbol, latest);
+    this.display(event);
+  }
+
+  /**
+   * Get the latest data seen for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Object} Latest payload per channel
+   */
+  getLatest(symbol) {
+    return { ...this.latest.get(symbol) };
+  }
+
+  /**
+   * Display one market event
+   * @param {Object} event - The market event
+   */
+  display({ channel, symbol, data }) {
+    const money = (value) => (value === null ? '-' : `$${value.toFixed(2)}`);
+    const lines = {
+      price: () => `${symbol} last ${money(data)}`,
+      quote: () =>
+        `${symbol} bid ${data.bidSize} @ ${money(data.bid)}, ask ${data.askSize} @ ${money(
+          data.ask
+        )}`,
+      trade: () => `${symbol} ${data.volume} shares @ ${money(data.price)}`,
+      candle: () =>
+        `${symbol} candle O ${money(data.open)} H ${money(data.high)} L ${money(
+          data.low
+        )} C ${money(data.close)} V ${data.volume}`,
+      session: () =>
+        data.isOpen
+          ? `${symbol} day opened, previous close ${money(data.previousClose)}`
+          : `${symbol} day closed, open ${money(data.open)} close ${money(data.close)}`,
+    };
+    console.log(`\n${this.name}: ${lines[channel]()}`);
+  }
+}
+
+/**
+ * Concrete Observer - Portfolio with lot accounting and P&L
+ *
+ * Positions are kept as lots of shares bought at one price. Sells consume lots in FIFO
+ * or LIFO order and book the difference to realized P&L. Once subscribed to a market,
+ * the portfolio keeps its subscription limited to the symbols it holds.
+ */
+class PortfolioObserver extends Observer {
+  /**
+   * @param {Object} options - Portfolio options
+   * @param {string} options.name - Display name, default: 'Portfolio'
+   * @param {string} options.lotMethod - 'FIFO' or 'LIFO', default: 'FIFO'
+   * @param {string} options.id - Stable id used when subscribing, default: none
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || null;
+    this.name = options.name || 'Portfolio';
+    this.lotMethod = this.checkLotMethod(options.lotMethod || 'FIFO');
+    this.lots = new Map(); // symbol -> [{ quantity, price, timestamp }], oldest first
+    this.prices = new Map(); // symbol -> last price seen
+    this.referencePrices = new Map(); // symbol -> price daily change is measured from
+    this.realized = 0;
+    this.transactions = [];
+    this.market = null;
+  }
+
+  /**
+   * Validate a lot method
+   * @param {string} method - 'FIFO' or 'LIFO'
+   * @returns {string} The method
+   */
+  checkLotMethod(method) {
+    if (method !== 'FIFO' && method !== 'LIFO') {
+      throw new Error(`Unknown lot method: ${method}`);
+    }
+    return method;
+  }
+
+  /**
+   * Subscribe to a market for the symbols held, now and after every transaction
+   * @param {StockMarket} market - The market to follow
+   */
+  subscribe(market) {
+    this.market = market;
+    this.refreshSubscription();
+  }
+
+  /**
+   * Re-attach to the market with the current symbols
+   */
+  refreshSubscription() {
+    if (!this.market) return;
+    const symbols = this.getSymbols();
+    if (symbols.length === 0) {
+      // An empty list would mean every symbol
+      if (this.market.observers.has(this)) {
+        this.market.detach(this);
+      }
+      return;
+    }
+    this.market.attach(this, symbols);
+    symbols
+      .filter((symbol) => this.market.getStockPrice(symbol) !== undefined)
+      .forEach((symbol) =>
+        this.recordPrice(this.market, symbol, this.market.getStockPrice(symbol))
+      );
+  }
+
+  /**
+   * Get the symbols with an open position
+   * @returns {Array<string>} Symbols
+   */
+  getSymbols() {
+    return [...this.lots.keys()];
+  }
+
+  /**
+   * Buy shares, opening a new lot
+   * @param {string} symbol - Stock symbol
+   * @param {number} quantity - Number of shares
+   * @param {number} price - Price per share
+   * @param {number} timestamp - Time of the trade, default: now
+   */
+  buy(symbol, quantity, price, timestamp = Date.now()) {
+    this.checkTrade(symbol, quantity, price);
+    const isNew = !this.lots.has(symbol);
+    const lots = this.lots.get(symbol) || [];
+    lots.push({ quantity, price, timestamp });
+    this.lots.set(symbol, lots);
+    this.transactions.push({ type: 'buy', symbol, quantity, price, timestamp });
+    console.log(`${this.name}: Bought ${quantity} ${symbol} @ $${price.toFixed(2)}`);
+    if (isNew) {
+      this.refreshSubscription();
+    }
+  }
+
+  /**
+   * Sell shares out of existing lots
+   * @param {string} symbol - Stock symbol
+   * @param {number} quantity - Number of shares
+   * @param {number} price - Price per share
+   * @param {Object} options - Sell options
+   * @param {string} options.lotMethod - Overrides the portfolio's lot method for this sale
+   * @param {number} options.timestamp - Time of the trade, default: now
+   * @returns {number} Realized P&L of this sale
+   */
+  sell(symbol, quantity, price, options = {}) {
+    this.checkTrade(symbol, quantity, price);
+    const method = this.checkLotMethod(options.lotMethod || this.lotMethod);
+    const lots = this.lots.get(symbol) || [];
+    const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (quantity > held) {
+      throw new Error(`${this.name}: Cannot sell ${quantity} ${symbol}, only ${held} held`);
+    }
+
+    let remaining = quantity;
+    let realized = 0;
+    while (remaining > 0) {
+      const lot = method === 'FIFO' ? lots[0] : lots[lots.length - 1];
+      const used = Math.min(lot.quantity, remaining);
+      realized += (price - lot.price) * used;
+      lot.quantity -= used;
+      remaining -= used;
+      if (lot.quantity === 0) {
+        if (method === 'FIFO') lots.shift();
+        else lots.pop();
+      }
+    }
+
+    this.realized += realized;
+    const timestamp = options.timestamp ?? Date.now();
+    this.transactions.push({ type: 'sell', symbol, quantity, price, timestamp, realized });
+    console.log(
+      `${this.name}: Sold ${quantity} ${symbol} @ $${price.toFixed(2)} (${method}), ` +
+        `realized ${this.formatSigned(realized)}`
+    );
+    if (lots.length === 0) {
+      this.lots.delete(symbol);
+      this.prices.delete(symbol);
+      this.referencePrices.delete(symbol);
+      this.refreshSubscription();
+    }
+    return realized;
+  }
+
+  /**
+   * Reject malformed trades
+   * @param {string} symbol - Stock symbol
+   * @param {number} quantity - Number of shares
+   * @param {number} price - Price per share
+   */
+  checkTrade(symbol, quantity, price) {
+    if (!symbol || !(quantity > 0) || !(price > 0)) {
+      throw new Error(`${this.name}: Invalid trade ${quantity} ${symbol} @ ${price}`);
+    }
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject, symbol, event) {
+    if (subject instanceof StockMarket && this.lots.has(symbol)) {
+      if (event && event.channel !== 'price') return;
+      this.recordPrice(subject, symbol, event ? event.data : subject.getStockPrice(symbol));
+      this.display(symbol);
+    }
+  }
+
+  /**
+   * Record the latest price and take the reference for daily change from the market
+   * The reference is the previous close, else the day's open, else the first price seen.
+   * @param {StockMarket} market - The market
+   * @param {string} symbol - Stock symbol
+   * @param {number} price - The new price
+   */
+  recordPrice(market, symbol, price) {
+    const session = market.getSession(symbol);
+    const reference = session && (session.previousClose ?? session.open);
+    this.prices.set(symbol, price);
+    if (reference) {
+      this.referencePrices.set(symbol, reference);
+    } else if (!this.referencePrices.has(symbol)) {
+      this.referencePrices.set(symbol, price);
+    }
+  }
+
+  /**
+   * Get the figures for one position
+   * @param {string} symbol - Stock symbol
+   * @returns {Object|null} Quantity, cost basis, market value, P&L and daily change
+   */
+  getPosition(symbol) {
+    const lots = this.lots.get(symbol);
+    if (!lots) return null;
+
+    const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+    const price = this.prices.get(symbol) ?? null;
+    const reference = this.referencePrices.get(symbol) ?? null;
+    const marketValue = price === null ? null : price * quantity;
+    return {
+      symbol,
+      quantity,
+      lots: lots.map((lot) => ({ ...lot })),
+      costBasis,
+      averageCost: costBasis / quantity,
+      price,
+      marketValue,
+      unrealized: marketValue === null ? null : marketValue - costBasis,
+      dailyChange: price === null || reference === null ? null : (price - reference) * quantity,
+    };
+  }
+
+  /**
+   * Get the figures for the whole portfolio
+   * Positions without a price yet are valued at cost.
+   * @returns {Object} Positions with allocation %, totals and realized P&L
+   */
+  getSummary() {
+    const positions = this.getSymbols().map((symbol) => this.getPosition(symbol));
+    const valueOf = (position) => position.marketValue ?? position.costBasis;
+    const marketValue = positions.reduce((sum, position) => sum + valueOf(position), 0);
+    const sum = (key) => positions.reduce((total, position) => total + (position[key] || 0), 0);
+    return {
+      positions: positions.map((position) => ({
+        ...position,
+        allocation: marketValue > 0 ? (valueOf(position) / marketValue) * 100 : 0,
+      })),
+      costBasis: sum('costBasis'),
+      marketValue,
+      unrealized: sum('unrealized'),
+      realized: this.realized,
+      dailyChange: sum('dailyChange'),
+    };
+  }
+
+  /**
+   * Format a signed amount of money
+   * @param {number} value - Amount
+   * @returns {string} E.g. '+$12.50' or '-$3.00'
+   */
+  formatSigned(value) {
+    return `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+  }
+
+  /**
+   * Display the position that changed and the portfolio totals
+   * @param {string} symbol - Stock symbol
+   */
+  display(symbol) {
+    const summary = this.getSummary();
+    const position = summary.positions.find((candidate) => candidate.symbol === symbol);
+    console.log(
+      `\n${this.name}: ${position.quantity} ${symbol} @ $${position.price.toFixed(2)}, ` +
+        `unrealized ${this.formatSigned(position.unrealized)}, ` +
+        `today ${this.formatSigned(position.dailyChange)}, ` +
+        `${position.allocation.toFixed(1)}% of portfolio`
+    );
+    console.log(
+      `${this.name}: Total $${summary.marketValue.toFixed(2)}, ` +
+        `unrealized ${this.formatSigned(summary.unrealized)}, ` +
+        `realized ${this.formatSigned(summary.realized)}`
+    );
+  }
+}
+
+/**
+ * Alert sink writing alerts to the console
+ */
+class ConsoleAlertSink {
+  /**
+   * @param {string} name - Prefix for each line, default: 'Stock Alert Service'
+   */
+  constructor(name = 'Stock Alert Service') {
+    this.name = name;
+  }
+
+  /**
+   * Deliver an alert
+   * @param {Object} alert - The alert
+   */
+  deliver(alert) {
+    console.log(`\n${this.name}: ALERT! ${alert.message}`);
+  }
+}
+
+/**
+ * Alert sink appending alerts to a file, one JSON object per line
+ */
+class FileAlertSink {
+  /**
+   * @param {string} filePath - File to append to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Deliver an alert
+   * @param {Object} alert - The alert
+   */
+  deliver(alert) {
+    fs.appendFileSync(this.filePath, `${JSON.stringify(alert)}\n`);
+  }
+}
+
+/**
+ * Alert sink emitting alerts as events on an EventEmitter
+ */
+class EmitterAlertSink {
+  /**
+   * @param {EventEmitter} emitter - Emitter to emit on
+   * @param {string} eventName - Event name, default: 'stock-alert'
+   */
+  constructor(emitter, eventName = 'stock-alert') {
+    this.emitter = emitter;
+    this.eventName = eventName;
+  }
+
+  /**
+   * Deliver an alert
+   * @param {Object} alert - The alert
+   */
+  deliver(alert) {
+    this.emitter.emit(this.eventName, alert);
+  }
+}
+
+/**
+ * Concrete Observer - StockAlertService
+ *
+ * A rule engine over price updates. Rules are plain JSON:
+ *
+ *   { id, when, cooldown?, untilAcknowledged? }
+ *
+ * where `when` is a condition:
+ * - { type: 'threshold', symbol, below?, above? }: price outside a band
+ * - { type: 'percentMove', symbol, percent, window, direction? }: price moved at least
+ *   `percent` within the last `window` ms; direction is 'up', 'down' or 'any' (default)
+ * - { type: 'movingAverageCross', symbol, period, direction? }: price crossed its simple
+ *   moving average over `period` updates; direction is 'above', 'below' or 'any' (default)
+ * - { type: 'and' | 'or', conditions: [...] }: composite of other conditions
+ *
+ * A rule that fired stays quiet for `cooldown` ms and, with `untilAcknowledged`, until its
+ * last alert was acknowledged. Alerts are delivered to every sink.
+ */
+class StockAlertService extends Observer {
+  /**
+   * @param {Object} options - Service options
+   * @param {Array<Object>} options.sinks - Alert sinks, default: a ConsoleAlertSink
+   * @param {number} options.historyLimit - Price updates kept per symbol, default: 1000
+   * @param {number} options.maxAlerts - Fired alerts kept, oldest dropped first, default: 1000
+   * @param {string} options.id - Stable id used when attaching, default: 'stock-alert-service'
+   */
+  constructor(options = {}) {
+    super();
+    this.id = options.id || 'stock-alert-service';
+    this.name = 'Stock Alert Service';
+    this.rules = new Map(); // id -> { definition, lastFiredAt, lastAlert }
+    this.sinks = options.sinks || [new ConsoleAlertSink(this.name)];
+    this.historyLimit = options.historyLimit ?? 1000;
+    this.history = new Map(); // symbol -> [{ price, timestamp }], oldest first
+    this.maxAlerts = options.maxAlerts ?? 1000;
+    this.alerts = [];
+    this.nextAlertId = 1;
+  }
+
+  /**
+   * Set price threshold for a stock
+   * @param {string} symbol - Stock symbol
+   * @param {number} minPrice - Alert when price goes below this threshold
+   * @param {number} maxPrice - Alert when price goes above this threshold
+   */
+  setAlertThreshold(symbol, minPrice, maxPrice) {
+    this.addRule({
+      id: `${symbol}-threshold`,
+      when: { type: 'threshold', symbol, below: minPrice, above: maxPrice },
+    });
+    console.log(
+      `${this.name}: Set alert for ${symbol} when price is below $${minPrice} or above $${maxPrice}`
+    );
+  }
+
+  /**
+   * Add a rule, replacing any rule with the same id
+   * @param {Object} definition - The rule, see the class description
+   */
+  addRule(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+      throw new Error('Alert rules need a string id');
+    }
+    this.validateCondition(definition.when, `rule ${definition.id}`);
+    this.rules.set(definition.id, { definition, lastFiredAt: null, lastAlert: null });
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} id - Rule id
+   * @returns {boolean} True when the rule existed
+   */
+  removeRule(id) {
+    return this.rules.delete(id);
+  }
+
+  /**
+   * Add rules from JSON
+   * @param {string|Array<Object>} rules - JSON text or parsed array of rule definitions
+   */
+  loadRules(rules) {
+    const definitions = typeof rules === 'string' ? JSON.parse(rules) : rules;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Alert rules must be an array');
+    }
+    definitions.forEach((definition) => this.addRule(definition));
+  }
+
+  /**
+   * Get all rule definitions
+   * @returns {Array<Object>} Rule definitions, ready for JSON.stringify
+   */
+  getRules() {
+    return [...this.rules.values()].map(({ definition }) => definition);
+  }
+
+  /**
+   * Get the symbols any rule depends on
+   * @returns {Array<string>} Symbols, e.g. to attach the service to a StockMarket with
+   */
+  getSymbols() {
+    const symbols = new Set();
+    const collect = (condition) => {
+      if (condition.conditions) {
+        condition.conditions.forEach(collect);
+      } else {
+        symbols.add(condition.symbol);
+      }
+    };
+    this.getRules().forEach((definition) => collect(definition.when));
+    return [...symbols];
+  }
+
+  /**
+   * Check a condition tree, throwing on the first problem
+   * @param {Object} condition - The condition
+   * @param {string} path - Where the condition sits, for error messages
+   */
+  validateCondition(condition, path) {
+    if (!condition || typeof condition !== 'object') {
+      throw new Error(`${path}: condition must be an object`);
+    }
+    const requireNumber = (key) => {
+      if (typeof condition[key] !== 'number' || !(condition[key] > 0)) {
+        throw new Error(`${path}: ${condition.type} needs a positive number for ${key}`);
+      }
+    };
+
+    switch (condition.type) {
+      case 'and':
+      case 'or':
+        if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+          throw new Error(`${path}: ${condition.type} needs a list of conditions`);
+        }
+        condition.conditions.forEach((child, index) =>
+          this.validateCondition(child, `${path}.conditions[${index}]`)
+        );
+        return;
+      case 'threshold':
+        if (condition.below === undefined && condition.above === undefined) {
+          throw new Error(`${path}: threshold needs below and/or above`);
+        }
+        ['below', 'above'].forEach((key) => {
+          if (condition[key] !== undefined && !Number.isFinite(condition[key])) {
+            throw new Error(`${path}: threshold needs a finite number for ${key}`);
+          }
+        });
+        break;
+      case 'percentMove':
+        requireNumber('percent');
+        requireNumber('window');
+        break;
+      case 'movingAverageCross':
+        requireNumber('period');
+        break;
+      default:
+        throw new Error(`${path}: unknown condition type ${JSON.stringify(condition.type)}`);
+    }
+    if (typeof condition.symbol !== 'string' || !condition.symbol) {
+      throw new Error(`${path}: ${condition.type} needs a symbol`);
+    }
+  }
+
+  /**
+   * Add a sink
+   * @param {Object} sink - Object with a deliver(alert) method
+   */
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  /**
+   * Remove a sink
+   * @param {Object} sink - The sink to remove
+   */
+  removeSink(sink) {
+    this.sinks = this.sinks.filter((existing) => existing !== sink);
+  }
+
+  /**
+   * @inheritdoc
+   */
+  update(subject, symbol, event) {
+    if (subject instanceof StockMarket && symbol) {
+      if (event && event.channel !== 'price') return;
+
+      const price = event ? event.data : subject.getStockPrice(symbol);
+      const timestamp = event ? event.timestamp : Date.now();
+      this.recordPrice(symbol, price, timestamp);
+      this.evaluateRules(symbol, timestamp);
+    }
+  }
+
+  /**
+   * Remember a price update
+   * @param {string} symbol - Stock symbol
+   * @param {number} price - New price
+   * @param {number} timestamp - Time of the update in ms
+   */
+  recordPrice(symbol, price, timestamp) {
+    const samples = this.history.get(symbol) || [];
+    samples.push({ price, timestamp });
+    if (samples.length > this.historyLimit) {
+      samples.shift();
+    }
+    this.history.set(symbol, samples);
+  }
+
+  /**
+   * Evaluate every rule depending on a symbol and fire the ones that match
+   * @param {string} symbol - The symbol that changed
+   * @param {number} now - Current time in ms
+   */
+  evaluateRules(symbol, now) {
+    for (const rule of this.rules.values()) {
+      const { definition } = rule;
+      if (!this.dependsOn(definition.when, symbol)) continue;
+      if (rule.lastFiredAt !== null && now - rule.lastFiredAt < (definition.cooldown || 0)) {
+        continue;
+      }
+      if (definition.untilAcknowledged && rule.lastAlert && !rule.lastAlert.acknowledged) {
+        continue;
+      }
+
+      const result = this.evaluateCondition(definition.when, now);
+      if (result.matched) {
+        rule.lastFiredAt = now;
+        rule.lastAlert = this.triggerAlert(definition, symbol, result.message, now);
+      }
+    }
+  }
+
+  /**
+   * Check whether a condition tree involves a symbol
+   * @param {Object} condition - The condition
+   * @param {string} symbol - Stock symbol
+   * @returns {boolean} True when any leaf condition watches the symbol
+   */
+  dependsOn(condition, symbol) {
+    return condition.conditions
+      ? condition.conditions.some((child) => this.dependsOn(child, symbol))
+      : condition.symbol === symbol;
+  }
+
+  /**
+   * Evaluate a condition against the recorded prices
+   * @param {Object} condition - The condition
+   * @param {number} now - Current time in ms
+   * @returns {Object} `{ matched, message }`
+   */
+  evaluateCondition(condition, now) {
+    if (condition.type === 'and' || condition.type === 'or') {
+      const results = condition.conditions.map((child) => this.evaluateCondition(child, now));
+      const matched =
+        condition.type === 'and'
+          ? results.every((result) => result.matched)
+          : results.some((result) => result.matched);
+      const message = results
+        .filter((result) => result.matched)
+        .map((result) => result.message)
+        .join(condition.type === 'and' ? ' and ' : ' or ');
+      return { matched, message };
+    }
+
+    const samples = this.history.get(condition.symbol) || [];
+    if (samples.length === 0) {
+      return { matched: false, message: '' };
+    }
+    const { price } = samples[samples.length - 1];
+    const money = (value) => `$${value.toFixed(2)}`;
+
+    switch (condition.type) {
+      case 'threshold': {
+        if (condition.below !== undefined && price < condition.below) {
+          return {
+            matched: true,
+            message: `${condition.symbol} at ${money(price)} is below the threshold of ${money(
+              condition.below
+            )}`,
+          };
+        }
+        if (condition.above !== undefined && price > condition.above) {
+          return {
+            matched: true,
+            message: `${condition.symbol} at ${money(price)} is above the threshold of ${money(
+              condition.above
+            )}`,
+          };
+        }
+        return { matched: false, message: '' };
+      }
+      case 'percentMove': {
+        const reference = samples.find((sample) => sample.timestamp >= now - condition.window);
+        const change = ((price - reference.price) / reference.price) * 100;
+        const direction = condition.direction || 'any';
+        const matched =
+          (direction !== 'down' && change >= condition.percent) ||
+          (direction !== 'up' && change <= -condition.percent);
+        return {
+          matched,
+          message: `${condition.symbol} moved ${change.toFixed(2)}% to ${money(price)} within ${
+            condition.window / 1000
+          }s`,
+        };
+      }
+      case 'movingAverageCross': {
+        const { period } = condition;
+        if (samples.length < period + 1) {
+          return { matched: false, message: '' };
+        }
+        const average = (list) => list.reduce((sum, sample) => sum + sample.price, 0) / period;
+        const current = average(samples.slice(-period));
+        const previous = average(samples.slice(-period - 1, -1));
+        const previousPrice = samples[samples.length - 2].price;
+        const crossedAbove = previousPrice <= previous && price > current;
+        const crossedBelow = previousPrice >= previous && price < current;
+        const direction = condition.direction || 'any';
+        const matched =
+          (direction !== 'below' && crossedAbove) || (direction !== 'above' && crossedBelow);
+        return {
+          matched,
+          message: `${condition.symbol} at ${money(price)} crossed ${
+            crossedAbove ? 'above' : 'below'
+          } its ${period}-update average of ${money(current)}`,
+        };
+      }
+      default:
+        return { matched: false, message: '' };
+    }
+  }
+
+  /**
+   * Create an alert and deliver it to every sink
+   * @param {Object} rule - The rule definition that fired
+   * @param {string} symbol - The symbol whose update fired it
+   * @param {string} message - What happened
+   * @param {number} timestamp - Time of the update in ms
+   * @returns {Object} The alert
+   */
+  triggerAlert(rule, symbol, message, timestamp) {
+    const alert = {
+      id: this.nextAlertId++,
+      ruleId: rule.id,
+      symbol,
+      message,
+      timestamp,
+      acknowledged: false,
+      acknowledgedAt: null,
+    };
+    this.alerts.push(alert);
+    if (this.alerts.length > this.maxAlerts) {
+      this.alerts.shift();
+    }
+
+    this.sinks.forEach((sink) => {
+      try {
+        sink.deliver(alert);
+      } catch (error) {
+        console.log(
+          `${this.name}: ${sink.constructor.name} failed to deliver alert: ${error.message}`
+        );
+      }
+    });
+    return alert;
+  }
+
+  /**
+   * Acknowledge an alert
+   * @param {number} alertId - Alert id
+   * @param {number} timestamp - Time of acknowledgement, default: now
+   * @returns {boolean} True when an unacknowledged alert was found
+   */
+  acknowledge(alertId, timestamp = Date.now()) {
+    const alert = this.alerts.find((candidate) => candidate.id === alertId);
+    if (!alert || alert.acknowledged) {
+      return false;
+    }
+    alert.acknowledged = true;
+    alert.acknowledgedAt = timestamp;
+    console.log(`${this.name}: Alert ${alertId} acknowledged`);
+    return true;
+  }
+
+  /**
+   * Get the configuration to persist: rules, when each last fired and unacknowledged alerts
+   * @returns {Object} Configuration, ready for JSON.stringify
+   */
+  exportConfig() {
+    const lastFired = {};
+    for (const [id, rule] of this.rules.entries()) {
+      if (rule.lastFiredAt !== null) {
+        lastFired[id] = rule.lastFiredAt;
+      }
+    }
+    return {
+      rules: this.getRules(),
+      lastFired,
+      activeAlerts: this.getActiveAlerts(),
+      nextAlertId: this.nextAlertId,
+    };
+  }
+
+  /**
+   * Replace rules and alert state with a persisted configuration
+   * Cooldowns and acknowledgement holds carry on where they left off.
+   * @param {Object} config - Configuration from exportConfig()
+   */
+  importConfig(config) {
+    this.rules.clear();
+    this.loadRules(config.rules || []);
+    this.alerts = (config.activeAlerts || []).slice(-this.maxAlerts).map((alert) => ({ ...alert }));
+    this.nextAlertId = Math.max(
+      config.nextAlertId || 1,
+      ...this.alerts.map((alert) => alert.id + 1)
+    );
+    for (const [id, rule] of this.rules.entries()) {
+      rule.lastFiredAt = (config.lastFired || {})[id] ?? null;
+      rule.lastAlert = this.alerts.filter((alert) => alert.ruleId === id).pop() || null;
+    }
+  }
+
+  /**
+   * Get the alerts nobody acknowledged yet
+   * @returns {Array<Object>} Unacknowledged alerts, oldest first
+   */
+  getActiveAlerts() {
+    return this.alerts.filter((alert) => !alert.acknowledged);
+  }
+}
+
+/**
+ * Persists StockMarket subscriptions and alert configurations to a JSON file
+ *
+ * Observers are identified by the stable ids they were attached with, so a restarted
+ * process can hand in freshly created observers and get the previous subscriptions back.
+ * Observers offering exportConfig()/importConfig(), like StockAlertService, also have
+ * their configuration saved and restored.
+ */
+class SubscriptionStore {
+  /**
+   * @param {string} filePath - JSON file to save to and restore from
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Save every subscription of observers attached with an id
+   * The file is replaced atomically, so a crash mid-save leaves the previous state intact.
+   * @param {StockMarket} market - The market to save
+   * @returns {Object} The saved state
+   */
+  save(market) {
+    const state = {
+      version: 1,
+      subscriptions: market.getSubscriptions().map(({ id, stocks }) => {
+        const observer = market.getObserver(id);
+        const subscription = { id, stocks };
+        if (typeof observer.exportConfig === 'function') {
+          subscription.config = observer.exportConfig();
+        }
+        return subscription;
+      }),
+    };
+
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(state, null, 2));
+    fs.renameSync(temporaryPath, this.filePath);
+    console.log(`SubscriptionStore: Saved ${state.subscriptions.length} subscriptions`);
+    return state;
+  }
+
+  /**
+   * Restore saved subscriptions onto a market
+   * @param {StockMarket} market - The market to attach to
+   * @param {Object|Map} observers - Observers by id, e.g. `{ 'alerts': alertService }`
+   * @returns {Object} `{ restored, missing }` lists of ids; saved ids without an observer
+   *   are reported as missing and left out
+   */
+  restore(market, observers) {
+    const lookup = observers instanceof Map ? observers : new Map(Object.entries(observers));
+    const result = { restored: [], missing: [] };
+    if (!fs.existsSync(this.filePath)) {
+      console.log('SubscriptionStore: Nothing saved yet');
+      return result;
+    }
+
+    const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (state.version !== 1) {
+      throw new Error(`SubscriptionStore: Unsupported file version ${state.version}`);
+    }
+    state.subscriptions.forEach(({ id, stocks, config }) => {
+      const observer = lookup.get(id);
+      if (!observer) {
+        result.missing.push(id);
+        return;
+      }
+      if (config && typeof observer.importConfig === 'function') {
+        observer.importConfig(config);
+      }
+      market.attach(observer, stocks, { id });
+      result.restored.push(id);
+    });
+    console.log(
+      `SubscriptionStore: Restored ${result.restored.length} subscriptions` +
+        (result.missing.length ? `, no observer for: ${result.missing.join(', ')}` : '')
+    );
+    return result;
+  }
+}
+
+/**
+ * Event object passed to EventEmitter listeners subscribed with `{ withEvent: true }`,
+ * as their last argument
+ */
+class EmitterEvent {
+  /**
+   * @param {string} name - Name of the emitted event
+   */
+  constructor(name) {
+    this.name = name;
+    this.pattern = null; // Set to the matching pattern while a pattern listener runs
+    this.propagationStopped = false;
+    this.replayed = false; // True when delivered from history rather than a live emit
+  }
+
+  /**
+   * Prevent listeners that have not been called yet from running
+   */
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+/**
+ * Event Management System - A general purpose implementation for events
+ *
+ * Event names can be namespaced with a delimiter (e.g. `form:submit:userForm`).
+ * Listeners may subscribe to patterns where `*` matches exactly one segment and
+ * `**` matches any number of segments, including none (e.g. `button:*`, `form:**`).
+ *
+ * Listeners run from highest to lowest priority (default 0). Listeners with the same
+ * priority run in subscription order, exact listeners before pattern listeners.
+ */
+class EventEmitter {
+  /**
+   * @param {Object} options - Emitter options
+   * @param {string} options.delimiter - Separator between namespace segments, default: ':'
+   * @param {number} options.maxListeners - Listeners per event before warning, 0 disables,
+   *   default: 10
+   * @param {number} options.historySize - Number of past emits to keep for replay, 0 disables,
+   *   default: 0
+   * @param {string} options.asyncMode - Mode used by emitAsync, see emitAsyncWithMode,
+   *   default: 'sequential'
+   * @param {boolean} options.captureStacks - Record where every listener is registered from,
+   *   for getListenerInfo. Otherwise a stack is only captured for leak warnings, default: false
+   * @param {Object} options.owner - Object exposing this emitter through its own methods,
+   *   whose frames are skipped in registration stacks like the emitter's, default: none
+   */
+  constructor(options = {}) {
+    this.events = new Map(); // Exact event name -> listener records
+    this.patterns = new Map(); // Wildcard pattern -> listener records
+    this.delimiter = options.delimiter || ':';
+    this.maxListeners = options.maxListeners ?? 10;
+    this.eventMaxListeners = new Map(); // Per-event overrides of maxListeners
+    this.warnedEvents = new Set(); // Events that already triggered a leak warning
+    this.historySize = options.historySize || 0;
+    this.history = []; // Oldest first, at most historySize entries
+    this.asyncMode = options.asyncMode || 'sequential';
+    this.captureStacks = options.captureStacks || false;
+    this.owner = options.owner || null;
+  }
+
+  /**
+   * Subscribe to an event or an event pattern
+   * @param {string} eventName - Name of the event, or a pattern containing `*` / `**`
+   * @param {Function} callback - Function to call when event is triggered
+   * @param {Object} options - Listener options
+   * @param {number} options.priority - Higher priorities are called first, default: 0
+   * @param {number} options.replay - Deliver up to this many past matching events from the
+   *   history right away, default: 0
+   * @param {boolean} options.withEvent - Pass an EmitterEvent after the emitted arguments,
+   *   default: false
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, callback, options = {}) {
+    return this.addListener(eventName, callback, options);
+  }
+
+  /**
+   * Subscribe to an event for a single call only
+   * @param {string} eventName - Name of the event or pattern
+   * @param {Function} callback - Function to call when event is triggered
+   * @param {Object} options - Listener options, see `on`
+   * @returns {Function} Unsubscribe function
+   */
+  once(eventName, callback, options = {}) {
+    return this.addListener(eventName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Subscribe ahead of the existing listeners that share the same priority
+   * @param {string} eventName - Name of the event or pattern
+   * @param {Function} callback - Function to call when event is triggered
+   * @param {Object} options - Listener options, see `on`
+   * @returns {Function} Unsubscribe function
+   */
+  prependListener(eventName, callback, options = {}) {
+    return this.addListener(eventName, callback, { ...options, prepend: true });
+  }
+
+  /**
+   * Register a listener record, keeping each list sorted by priority
+   * @param {string} eventName - Name of the event or pattern
+   * @param {Function} callback - Function to call when event is triggered
+   * @param {Object} options - Listener options
+   * @param {number} options.priority - Higher priorities are called first, default: 0
+   * @param {boolean} options.once - Remove the listener after its first call
+   * @param {boolean} options.prepend - Insert before listeners of equal priority
+   * @param {number} options.replay - Past matching events to deliver right away
+   * @param {boolean} options.withEvent - Pass an EmitterEvent after the emitted arguments
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(
+    eventName,
+    callback,
+    { priority = 0, once = false, prepend = false, replay = 0, withEvent = false } = {}
+  ) {
+    const registry = this.isPattern(eventName) ? this.patterns : this.events;
+    if (!registry.has(eventName)) {
+      registry.set(eventName, []);
+    }
+
+    const records = registry.get(eventName);
+    const record = {
+      eventName,
+      callback,
+      priority,
+      once,
+      withEvent,
+      stack: this.captureStacks ? this.captureRegistrationStack() : null,
+    };
+
+    let index = prepend
+      ? records.findIndex((existing) => existing.priority <= priority)
+      : records.findIndex((existing) => existing.priority < priority);
+    if (index === -1) index = records.length;
+    records.splice(index, 0, record);
+    this.checkListenerLimit(eventName, record);
+
+    if (replay > 0) {
+      this.replayToListener(record, replay);
+    }
+
+    // Return a function to unsubscribe
+    return () => this.removeListenerRecord(record);
+  }
+
+  /**
+   * Remove a single listener record
+   * @param {Object} record - Record created by addListener
+   */
+  removeListenerRecord(record) {
+    const registry = this.isPattern(record.eventName) ? this.patterns : this.events;
+    const records = registry.get(record.eventName);
+    if (!records) return;
+
+    const index = records.indexOf(record);
+    if (index !== -1) {
+      records.splice(index, 1);
+    }
+    if (records.length === 0) {
+      registry.delete(record.eventName);
+    }
+  }
+
+  /**
+   * Emit an event
+   *
+   * Listeners subscribed with `{ withEvent: true }` receive an EmitterEvent as an extra
+   * trailing argument. Pattern listeners can read `event.name` and `event.pattern` to see
+   * which event matched, and any of them can call `event.stopPropagation()` to skip the rest.
+   *
+   * A listener that throws does not prevent the others from running. Its error is
+   * emitted as `error` with `(error, { eventName, listener })`. With no `error`
+   * listeners the first error is rethrown once every listener has been called.
+   * Listeners returning a promise that rejects are routed the same way; with no `error`
+   * listeners the rejection is logged, since emit has already returned by then.
+   * @param {string} eventName - Name of the event
+   * @param {...any} args - Arguments to pass to the callbacks
+   * @returns {EmitterEvent} The event object, to check whether propagation was stopped
+   */
+  emit(eventName, ...args) {
+    const event = new EmitterEvent(eventName);
+    const listeners = this.getDispatchList(eventName);
+
+    // Like Node, an 'error' event nobody listens to is thrown
+    if (eventName === 'error' && listeners.length === 0) {
+      const [error] = args;
+      throw error instanceof Error ? error : new Error(`Unhandled error: ${error}`);
+    }
+
+    this.recordHistory(eventName, args);
+
+    let unhandled = null;
+    for (const listener of listeners) {
+      if (event.propagationStopped) break;
+
+      const failure = this.invokeListener(listener, event, args);
+      if (failure && !unhandled) {
+        unhandled = failure;
+      }
+    }
+
+    // Throw only after the remaining listeners had their turn
+    if (unhandled) {
+      throw unhandled.error;
+    }
+
+    return event;
+  }
+
+  /**
+   * Call a listener, routing what it throws or rejects with to the `error` event
+   * @param {Object} listener - Entry from getDispatchList
+   * @param {EmitterEvent} event - Event object shared by this dispatch
+   * @param {Array} args - Arguments to pass to the callback
+   * @returns {Object|null} `{ error }` for a synchronous error nobody handled, else null
+   */
+  invokeListener(listener, event, args) {
+    let result;
+    try {
+      result = this.callListener(listener, event, args);
+    } catch (error) {
+      return this.routeListenerError(error, event.name, listener);
+    }
+
+    if (result && typeof result.then === 'function') {
+      Promise.resolve(result).catch((error) => {
+        const failure = this.routeListenerError(error, event.name, listener);
+        if (failure) {
+          const message = String(failure.error?.message ?? failure.error);
+          console.log(`EventEmitter: Async ${event.name} listener failed: ${message}`);
+        }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Emit a listener's error as an `error` event
+   *
+   * Errors from `error` listeners themselves are not routed again, and neither are
+   * errors thrown while routing.
+   * @param {any} error - What the listener threw or rejected with
+   * @param {string} eventName - Event the listener was called for
+   * @param {Object} listener - Entry from getDispatchList
+   * @returns {Object|null} `{ error }` when nobody handled it, null otherwise. The error
+   *   is wrapped so that `throw null` still counts as a failure.
+   */
+  routeListenerError(error, eventName, listener) {
+    if (eventName === 'error' || this.listenerCount('error') === 0) {
+      return { error };
+    }
+
+    try {
+      this.emit('error', error, { eventName, listener: listener.callback });
+      return null;
+    } catch (routingError) {
+      return { error: routingError };
+    }
+  }
+
+  /**
+   * Emit an event and wait for listeners that return promises, in the emitter's asyncMode
+   * @param {string} eventName - Name of the event
+   * @param {...any} args - Arguments to pass to the callbacks
+   * @returns {Promise<Array>} See emitAsyncWithMode
+   */
+  emitAsync(eventName, ...args) {
+    return this.emitAsyncWithMode(this.asyncMode, eventName, ...args);
+  }
+
+  /**
+   * Emit an event and wait for listeners that return promises, in a given mode
+   *
+   * Modes:
+   * - 'sequential': await each listener before calling the next, stop at the first rejection
+   * - 'parallel': call every listener at once, reject as soon as one rejects
+   * - 'settled': call every listener at once and collect each outcome, never rejects
+   *
+   * Listeners are always started in priority order. In 'parallel' and 'settled' modes a
+   * listener can only stop propagation before its first `await`, since the next listener
+   * starts as soon as the previous one yields.
+   * @param {string} mode - 'sequential', 'parallel' or 'settled'
+   * @param {string} eventName - Name of the event
+   * @param {...any} args - Arguments to pass to the callbacks
+   * @returns {Promise<Array>} Listener return values, or `{ status, value, reason, listener }`
+   *   records in 'settled' mode, where skipped listeners have the status 'skipped'
+   */
+  async emitAsyncWithMode(mode, eventName, ...args) {
+    const listeners = this.getDispatchList(eventName);
+    const event = new EmitterEvent(eventName);
+    this.recordHistory(eventName, args);
+
+    // Wrap each call so that synchronous throws become rejections too
+    const invoke = async (listener) => this.callListener(listener, event, args);
+
+    switch (mode) {
+      case 'sequential': {
+        const results = [];
+        for (const listener of listeners) {
+          if (event.propagationStopped) break;
+          results.push(await invoke(listener));
+        }
+        return results;
+      }
+      case 'parallel': {
+        const pending = [];
+        for (const listener of listeners) {
+          if (event.propagationStopped) break;
+          pending.push(invoke(listener));
+        }
+        return Promise.all(pending);
+      }
+      case 'settled': {
+        const pending = listeners.map((listener) =>
+          event.propagationStopped ? null : invoke(listener)
+        );
+        const outcomes = await Promise.allSettled(pending);
+        return outcomes.map((outcome, index) => ({
+          ...(pending[index] === null ? { status: 'skipped' } : outcome),
+          listener: listeners[index].callback,
+        }));
+      }
+      default:
+        throw new Error(`Unknown emitAsync mode: ${mode}`);
+    }
+  }
+
+  /**
+   * Collect the listeners an event dispatches to, in call order
+   *
+   * The list is a snapshot, so listeners unsubscribing during emit don't skip their neighbours.
+   * @param {string} eventName - Name of the event
+   * @returns {Array<{record: Object, callback: Function, pattern: string|null}>} Listeners to call
+   */
+  getDispatchList(eventName) {
+    const listeners = [];
+
+    if (this.events.has(eventName)) {
+      this.events.get(eventName).forEach((record) => {
+        listeners.push({ record, callback: record.callback, pattern: null });
+      });
+    }
+
+    for (const [pattern, records] of this.patterns.entries()) {
+      if (this.matchesPattern(pattern, eventName)) {
+        records.forEach((record) => {
+          listeners.push({ record, callback: record.callback, pattern });
+        });
+      }
+    }
+
+    // Array.prototype.sort is stable, so equal priorities keep the order built above
+    return listeners.sort((a, b) => b.record.priority - a.record.priority);
+  }
+
+  /**
+   * Call a single listener with the emitted arguments
+   * @param {Object} listener - Entry from getDispatchList
+   * @param {EmitterEvent} event - Event object shared by this dispatch
+   * @param {Array} args - Arguments to pass to the callback
+   * @returns {any} Whatever the callback returns
+   */
+  callListener(listener, event, args) {
+    if (listener.record.once) {
+      // Guard against overlapping dispatches that took their snapshot before removal
+      if (listener.record.called) return undefined;
+      listener.record.called = true;
+      this.removeListenerRecord(listener.record);
+    }
+
+    event.pattern = listener.pattern;
+    return listener.record.withEvent
+      ? listener.callback(...args, event)
+      : listener.callback(...args);
+  }
+
+  /**
+   * Remove all listeners for an event
+   *
+   * When given a pattern, listeners subscribed to that pattern are removed along
+   * with the listeners of every exact event name the pattern matches.
+   * @param {string} eventName - Name of the event or pattern
+   */
+  removeAllListeners(eventName) {
+    if (!eventName) {
+      this.events.clear();
+      this.patterns.clear();
+      return;
+    }
+
+    if (this.isPattern(eventName)) {
+      this.patterns.delete(eventName);
+      for (const name of [...this.events.keys()]) {
+        if (this.matchesPattern(eventName, name)) {
+          this.events.delete(name);
+        }
+      }
+      return;
+    }
+
+    this.events.delete(eventName);
+  }
+
+  /**
+   * Get the number of listeners for an event
+   *
+   * For an exact event name this counts every listener `emit` would call, including
+   * matching pattern listeners. For a pattern it counts the listeners subscribed to
+   * that same pattern.
+   * @param {string} eventName - Name of the event or pattern
+   * @returns {number} Number of listeners
+   */
+  listenerCount(eventName) {
+    if (this.isPattern(eventName)) {
+      return this.patterns.has(eventName) ? this.patterns.get(eventName).length : 0;
+    }
+
+    let count = this.events.has(eventName) ? this.events.get(eventName).length : 0;
+    for (const [pattern, records] of this.patterns.entries()) {
+      if (this.matchesPattern(pattern, eventName)) {
+        count += records.length;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Append an emit to the bounded history, dropping the oldest entry when full
+   * @param {string} eventName - Name of the event
+   * @param {Array} args - Arguments the event was emitted with
+   */
+  recordHistory(eventName, args) {
+    if (this.historySize <= 0) return;
+
+    this.history.push({ eventName, args, timestamp: Date.now() });
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Deliver the most recent history entries matching a listener to that listener only
+   *
+   * Errors are routed to the `error` event like during emit. Since the listener is
+   * already registered, one nobody handles is logged rather than thrown out of `on`.
+   * @param {Object} record - Listener record
+   * @param {number} count - Maximum number of entries to deliver
+   */
+  replayToListener(record, count) {
+    const isPattern = this.isPattern(record.eventName);
+    const entries = this.history
+      .filter((entry) =>
+        isPattern
+          ? this.matchesPattern(record.eventName, entry.eventName)
+          : entry.eventName === record.eventName
+      )
+      .slice(-count);
+
+    for (const entry of entries) {
+      const event = new EmitterEvent(entry.eventName);
+      event.replayed = true;
+      const failure = this.invokeListener(
+        { record, callback: record.callback, pattern: isPattern ? record.eventName : null },
+        event,
+        entry.args
+      );
+      if (failure) {
+        const message = String(failure.error?.message ?? failure.error);
+        console.log(`EventEmitter: Replayed ${entry.eventName} listener failed: ${message}`);
+      }
+    }
+  }
+
+  /**
+   * Get a copy of the recorded history, oldest first
+   * @param {string} eventName - Only return entries for this event or pattern, default: all
+   * @returns {Array<{eventName: string, args: Array, timestamp: number}>} History entries
+   */
+  getHistory(eventName) {
+    if (eventName === undefined) {
+      return [...this.history];
+    }
+    return this.history.filter((entry) =>
+      this.isPattern(eventName)
+        ? this.matchesPattern(eventName, entry.eventName)
+        : entry.eventName === eventName
+    );
+  }
+
+  /**
+   * Forget all recorded history
+   */
+  clearHistory() {
+    this.history = [];
+  }
+
+  /**
+   * Export the history as JSON, e.g. to attach to a bug report
+   * @returns {string} JSON array of `{ eventName, args, timestamp }` entries
+   */
+  exportHistory() {
+    return JSON.stringify(this.history);
+  }
+
+  /**
+   * Re-emit exported history into this emitter, in the original order
+   * @param {string|Array} history - Output of exportHistory, or the parsed array
+   * @returns {number} Number of events emitted
+   */
+  importHistory(history) {
+    const entries = typeof history === 'string' ? JSON.parse(history) : history;
+    for (const entry of entries) {
+      this.emit(entry.eventName, ...entry.args);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Set the listener limit that triggers a memory-leak warning
+   * @param {number} limit - Maximum listeners, 0 or Infinity disables the warning
+   * @param {string} eventName - Apply the limit to this event only, default: all events
+   */
+  setMaxListeners(limit, eventName) {
+    if (eventName === undefined) {
+      this.maxListeners = limit;
+    } else {
+      this.eventMaxListeners.set(eventName, limit);
+    }
+  }
+
+  /**
+   * Get the listener limit that applies to an event
+   * @param {string} eventName - Name of the event or pattern
+   * @returns {number} The limit, 0 when disabled
+   */
+  getMaxListeners(eventName) {
+    if (eventName !== undefined && this.eventMaxListeners.has(eventName)) {
+      return this.eventMaxListeners.get(eventName);
+    }
+    return this.maxListeners;
+  }
+
+  /**
+   * Warn once per event when its listeners exceed the limit
+   *
+   * The warning is emitted as a `warning` event when someone listens to it, otherwise it
+   * is logged together with the stack trace of the registration that crossed the limit.
+   * @param {string} eventName - Name of the event or pattern
+   * @param {Object} record - The listener record just added
+   */
+  checkListenerLimit(eventName, record) {
+    const limit = this.getMaxListeners(eventName);
+    const registry = this.isPattern(eventName) ? this.patterns : this.events;
+    const count = registry.get(eventName).length;
+
+    if (!limit || count <= limit || this.warnedEvents.has(eventName)) {
+      return;
+    }
+    this.warnedEvents.add(eventName);
+    if (!record.stack) {
+      record.stack = this.captureRegistrationStack();
+    }
+
+    const warning = {
+      type: 'MaxListenersExceeded',
+      message: `Possible memory leak: ${count} listeners added to "${eventName}" (limit ${limit})`,
+      eventName,
+      count,
+      limit,
+      stack: record.stack,
+    };
+
+    if (eventName !== 'warning' && this.listenerCount('warning') > 0) {
+      this.emit('warning', warning);
+    } else {
+      console.log(`EventEmitter: ${warning.message}\n${warning.stack}`);
+    }
+  }
+
+  /**
+   * Capture where a listener is being registered from
+   * @returns {string} Stack trace without the emitter's own frames
+   */
+  captureRegistrationStack() {
+    const frames = (new Error().stack || '').split('\n').slice(1);
+    // Skip frames from the emitter, its subclasses and the owner that only delegates to it
+    const classNames = [];
+    for (const instance of [this, this.owner]) {
+      let prototype = instance && Object.getPrototypeOf(instance);
+      while (prototype && prototype !== Object.prototype) {
+        classNames.push(prototype.constructor.name);
+        prototype = Object.getPrototypeOf(prototype);
+      }
+    }
+    const internal = new RegExp(`at (async )?(new )?(${classNames.join('|')})[. ]`);
+    const firstExternal = frames.findIndex((frame) => !internal.test(frame));
+    return frames
+      .slice(firstExternal === -1 ? 0 : firstExternal)
+      .map((frame) => frame.trim())
+      .join('\n');
+  }
+
+  /**
+   * Get the names of all events and patterns with listeners
+   * @returns {Array<string>} Event names followed by patterns
+   */
+  eventNames() {
+    return [...this.events.keys(), ...this.patterns.keys()];
+  }
+
+  /**
+   * Get the callbacks subscribed to an exact event name or pattern, in call order
+   * @param {string} eventName - Name of the event or pattern
+   * @returns {Array<Function>} Listener callbacks
+   */
+  listeners(eventName) {
+    const registry = this.isPattern(eventName) ? this.patterns : this.events;
+    return (registry.get(eventName) || []).map((record) => record.callback);
+  }
+
+  /**
+   * Describe every subscription, including where each listener was registered when
+   * stacks are captured, see the captureStacks option
+   * @returns {Array<Object>} One entry per event or pattern with its listener details
+   */
+  getListenerInfo() {
+    return this.eventNames().map((eventName) => {
+      const registry = this.isPattern(eventName) ? this.patterns : this.events;
+      return {
+        eventName,
+        isPattern: registry === this.patterns,
+        maxListeners: this.getMaxListeners(eventName),
+        listeners: registry.get(eventName).map((record) => ({
+          name: record.callback.name || '(anonymous)',
+          callback: record.callback,
+          priority: record.priority,
+          once: record.once,
+          registeredAt: (record.stack && record.stack.split('\n')[0]) || 'unknown',
+          stack: record.stack,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Check whether an event name contains wildcard segments
+   * @param {string} eventName - Name of the event
+   * @returns {boolean} True if the name is a pattern
+   */
+  isPattern(eventName) {
+    if (typeof eventName !== 'string') return false;
+    return eventName.split(this.delimiter).some((segment) => segment === '*' || segment === '**');
+  }
+
+  /**
+   * Check whether an event name matches a pattern, segment by segment
+   * @param {string} pattern - Pattern containing `*` / `**` segments
+   * @param {string} eventName - Concrete event name
+   * @returns {boolean} True if the event name matches
+   */
+  matchesPattern(pattern, eventName) {
+    if (typeof eventName !== 'string') return false;
+
+    const patternSegments = pattern.split(this.delimiter);
+    const eventSegments = eventName.split(this.delimiter);
+
+    const match = (p, e) => {
+      if (p === patternSegments.length) {
+        return e === eventSegments.length;
+      }
+      if (patternSegments[p] === '**') {
+        // Try consuming zero, one, two... segments
+        for (let k = e; k <= eventSegments.length; k++) {
+          if (match(p + 1, k)) return true;
+        }
+        return false;
+      }
+      if (e === eventSegments.length) {
+        return false;
+      }
+      if (patternSegments[p] === '*' || patternSegments[p] === eventSegments[e]) {
+        return match(p + 1, e + 1);
+      }
+      return false;
+    };
+
+    return match(0, 0);
+  }
+}
+
+/**
+ * Parse a raw bridge message, dropping anything that isn't a well-formed one:
+ * a JSON object with a string `id`, a string `eventName` and an `args` array
+ * @param {string} data - Serialized message
+ * @returns {Object|null} The message, or null when it was dropped
+ */
+function parseMessage(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    console.log(`EventBridge: Dropped malformed message: ${error.message}`);
+    return null;
+  }
+  let problem = null;
+  if (!message || typeof message !== 'object') problem = 'not an object';
+  else if (typeof message.id !== 'string') problem = 'id must be a string';
+  else if (typeof message.eventName !== 'string') problem = 'eventName must be a string';
+  else if (!Array.isArray(message.args)) problem = 'args must be an array';
+  if (problem) {
+    console.log(`EventBridge: Dropped malformed message: ${problem}`);
+    return null;
+  }
+  return message;
+}
+
+/**
+ * Pass a transport error to the transport's error handler, or log it when there is none
+ * @param {Object} transport - Transport with an `errorHandler` field
+ * @param {Error} error - The error
+ */
+function reportTransportError(transport, error) {
+  if (transport.errorHandler) {
+    transport.errorHandler(error);
+  } else {
+    console.log(`${transport.constructor.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Split a stream of newline-delimited JSON into parsed messages
+ * @param {Function} onMessage - Called with each parsed message
+ * @returns {Function} Handler to feed raw chunks into
+ */
+function createLineParser(onMessage) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString();
+    let newline = buffer.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      const message = line ? parseMessage(line) : null;
+      if (message) {
+        onMessage(message);
+      }
+      newline = buffer.indexOf('\n');
+    }
+  };
+}
+
+/**
+ * Transport over a worker_threads MessagePort, Worker or parentPort
+ *
+ * The port stays owned by the caller: close() only stops listening to it.
+ */
+class MessagePortTransport {
+  /**
+   * @param {MessagePort|Worker} port - Anything with postMessage and on('message')
+   */
+  constructor(port) {
+    this.port = port;
+    this.handler = null;
+    this.onPortMessage = (data) => {
+      const message = this.handler ? parseMessage(data) : null;
+      if (message) {
+        this.handler(message);
+      }
+    };
+    this.port.on('message', this.onPortMessage);
+  }
+
+  /**
+   * Send a message to the other side
+   * @param {Object} message - Bridge message
+   */
+  send(message) {
+    this.port.postMessage(JSON.stringify(message));
+  }
+
+  /**
+   * Set the handler for incoming messages
+   * @param {Function} handler - Called with each parsed message
+   */
+  onMessage(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Stop listening to the port
+   */
+  close() {
+    this.port.off('message', this.onPortMessage);
+  }
+}
+
+/**
+ * Transport over a child-process IPC channel
+ *
+ * Use the ChildProcess returned by fork() in the parent and `process` in the child.
+ */
+class ProcessTransport {
+  /**
+   * @param {ChildProcess|NodeJS.Process} proc - Process with an IPC channel
+   */
+  constructor(proc) {
+    this.proc = proc;
+    this.handler = null;
+    this.onProcessMessage = (data) => {
+      const message = this.handler && typeof data === 'string' ? parseMessage(data) : null;
+      if (message) {
+        this.handler(message);
+      }
+    };
+    this.proc.on('message', this.onProcessMessage);
+  }
+
+  /**
+   * Send a message to the other process, dropping it if the channel is closed
+   * @param {Object} message - Bridge message
+   */
+  send(message) {
+    if (this.proc.connected) {
+      this.proc.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Set the handler for incoming messages
+   * @param {Function} handler - Called with each parsed message
+   */
+  onMessage(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Stop listening to the IPC channel
+   */
+  close() {
+    this.proc.off('message', this.onProcessMessage);
+  }
+}
+
+/**
+ * Client transport over a local TCP or Unix socket, with reconnects
+ *
+ * Messages sent while disconnected are queued and flushed on reconnect. Emits
+ * 'connect', 'disconnect', 'reconnecting' ({ attempt, delay }) and 'give-up'.
+ */
+class SocketTransport extends EventEmitter {
+  /**
+   * @param {Object} address - `{ path }` for a Unix socket or `{ port, host }` for TCP
+   * @param {Object} options - Transport options
+   * @param {Object} options.reconnect - Reconnect policy
+   * @param {number} options.reconnect.retries - Attempts before giving up, default: Infinity
+   * @param {number} options.reconnect.minDelay - First retry delay in ms, default: 100
+   * @param {number} options.reconnect.maxDelay - Upper bound of the retry delay, default: 5000
+   * @param {number} options.reconnect.factor - Delay multiplier per attempt, default: 2
+   * @param {number} options.maxQueue - Messages kept while disconnected, default: 1000
+   */
+  constructor(address, options = {}) {
+    super();
+    this.address = address.path ? { path: address.path } : { host: '127.0.0.1', ...address };
+    this.reconnect = { retries: Infinity, minDelay: 100, maxDelay: 5000, factor: 2 };
+    Object.assign(this.reconnect, options.reconnect);
+    this.maxQueue = options.maxQueue ?? 1000;
+
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.queue = [];
+    this.handler = null;
+    this.errorHandler = null;
+  }
+
+  /**
+   * Open the connection
+   * @returns {SocketTransport} This transport, for chaining
+   */
+  connect() {
+    this.closed = false;
+    const socket = net.createConnection(this.address);
+    this.socket = socket;
+
+    socket.on('connect', () => {
+      this.connected = true;
+      this.attempt = 0;
+      this.emit('connect');
+      this.queue.splice(0).forEach((line) => socket.write(line));
+    });
+    socket.on(
+      'data',
+      createLineParser((message) => this.handler && this.handler(message))
+    );
+    // 'close' always follows, so reconnecting is handled there
+    socket.on('error', (error) => reportTransportError(this, error));
+    socket.on('close', () => {
+      const wasConnected = this.connected;
+      this.connected = false;
+      if (wasConnected) {
+        this.emit('disconnect');
+      }
+      if (!this.closed) {
+        this.scheduleReconnect();
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Retry the connection with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.attempt >= this.reconnect.retries) {
+      this.emit('give-up');
+      return;
+    }
+
+    const { minDelay, maxDelay, factor } = this.reconnect;
+    const delay = Math.min(maxDelay, minDelay * factor ** this.attempt);
+    this.attempt++;
+    this.emit('reconnecting', { attempt: this.attempt, delay });
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Send a message, queueing it while disconnected
+   * @param {Object} message - Bridge message
+   */
+  send(message) {
+    const line = `${JSON.stringify(message)}\n`;
+    if (this.connected) {
+      this.socket.write(line);
+      return;
+    }
+
+    this.queue.push(line);
+    if (this.queue.length > this.maxQueue) {
+      this.queue.shift();
+    }
+  }
+
+  /**
+   * Set the handler for incoming messages
+   * @param {Function} handler - Called with each parsed message
+   */
+  onMessage(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Set the handler for socket errors
+   * @param {Function} handler - Called with each error
+   */
+  onError(handler) {
+    this.errorHandler = handler;
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
+
+/**
+ * Server transport for a local TCP or Unix socket
+ *
+ * Acts as a hub: a message from one client is delivered locally and relayed to the
+ * other clients, so several processes can share one bus without an external broker.
+ */
+class SocketServerTransport {
+  /**
+   * @param {Object} address - `{ path }` for a Unix socket or `{ port, host }` for TCP
+   */
+  constructor(address) {
+    this.address = address.path ? { path: address.path } : { host: '127.0.0.1', ...address };
+    this.sockets = new Set();
+    this.handler = null;
+    this.errorHandler = null;
+    this.server = net.createServer((socket) => this.accept(socket));
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} The bound address, e.g. `{ port }` when port 0 was requested
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.address, () => {
+        this.server.off('error', reject);
+        const bound = this.server.address();
+        resolve(typeof bound === 'string' ? { path: bound } : { port: bound.port });
+      });
+    });
+  }
+
+  /**
+   * Track a new client connection
+   *
+   * A message is relayed to the other clients unless the handler returns false,
+   * e.g. because the bridge already saw it or doesn't bridge its event.
+   * @param {net.Socket} socket - The accepted socket
+   */
+  accept(socket) {
+    this.sockets.add(socket);
+    socket.on(
+      'data',
+      createLineParser((message) => {
+        if (!this.handler || this.handler(message) !== false) {
+          this.broadcast(message, socket);
+        }
+      })
+    );
+    socket.on('error', (error) => reportTransportError(this, error));
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  /**
+   * Write a message to every client except one
+   * @param {Object} message - Bridge message
+   * @param {net.Socket} except - Socket to skip, usually the sender
+   */
+  broadcast(message, except = null) {
+    const line = `${JSON.stringify(message)}\n`;
+    for (const socket of this.sockets) {
+      if (socket !== except) {
+        socket.write(line);
+      }
+    }
+  }
+
+  /**
+   * Send a message to every client
+   * @param {Object} message - Bridge message
+   */
+  send(message) {
+    this.broadcast(message);
+  }
+
+  /**
+   * Set the handler for incoming messages
+   * @param {Function} handler - Called with each parsed message
+   */
+  onMessage(handler) {
+    this.handler = handler;
+  }
+
+  /**
+   * Set the handler for client socket errors
+   * @param {Function} handler - Called with each error
+   */
+  onError(handler) {
+    this.errorHandler = handler;
+  }
+
+  /**
+   * Disconnect every client and stop listening
+   * @returns {Promise<void>} Resolves once the server is closed
+   */
+  close() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+}
+
+/**
+ * Event Bridge - forwards events between an EventEmitter and other processes
+ *
+ * Local emits matching the bridged patterns are serialized as JSON and sent over every
+ * transport. Messages arriving from a transport are emitted locally and relayed to the
+ * other transports. Each message carries the id of the bridge it originated from and a
+ * unique message id, so it is never delivered back to its origin or handled twice.
+ */
+class EventBridge {
+  /**
+   * @param {EventEmitter} emitter - The local emitter to bridge
+   * @param {Object} options - Bridge options
+   * @param {Array<string>} options.events - Event names or patterns to forward, default: ['**']
+   * @param {Array<string>} options.exclude - Events kept local, default: ['error', 'warning']
+   * @param {string} options.originId - Identifies this bridge, default: a random UUID
+   */
+  constructor(emitter, options = {}) {
+    this.emitter = emitter;
+    this.originId = options.originId || crypto.randomUUID();
+    this.exclude = options.exclude || ['error', 'warning'];
+    this.transports = [];
+    this.sequence = 0;
+    this.seenIds = new Set();
+    this.maxSeenIds = 1000;
+    this.skipNextDispatch = false;
+    this.lastEvent = null;
+
+    const events = options.events || ['**'];
+    this.events = events;
+    // Highest priority so the bridge sees each dispatch before any listener can emit again
+    this.unsubscribers = events.map((eventName) =>
+      emitter.on(eventName, (...args) => this.handleLocalEmit(args.pop(), args), {
+        priority: Number.MAX_SAFE_INTEGER,
+        withEvent: true,
+      })
+    );
+  }
+
+  /**
+   * Connect a transport to the bridge
+   *
+   * Transports with an onError(handler) method have their errors emitted as `error` on
+   * the local emitter, or logged when nobody listens for them.
+   * @param {Object} transport - Object with send(message), onMessage(handler) and close()
+   * @returns {EventBridge} This bridge, for chaining
+   */
+  addTransport(transport) {
+    this.transports.push(transport);
+    transport.onMessage((message) => this.receive(message, transport));
+    if (typeof transport.onError === 'function') {
+      transport.onError((error) => {
+        if (this.emitter.listenerCount('error') > 0) {
+          this.emitter.emit('error', error, { transport });
+        } else {
+          console.log(`EventBridge: ${transport.constructor.name} failed: ${error.message}`);
+        }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Forward a local emit to every transport
+   * @param {EmitterEvent} event - The event being dispatched
+   * @param {Array} args - Arguments it was emitted with
+   */
+  handleLocalEmit(event, args) {
+    // Several bridged patterns can match the same dispatch
+    if (event === this.lastEvent) return;
+    this.lastEvent = event;
+
+    if (this.skipNextDispatch) {
+      // This dispatch is a message that just arrived from a transport
+      this.skipNextDispatch = false;
+      return;
+    }
+    if (event.replayed || this.exclude.includes(event.name)) return;
+
+    const message = {
+      id: `${this.originId}:${++this.sequence}`,
+      origin: this.originId,
+      eventName: event.name,
+      args,
+    };
+    this.markSeen(message.id);
+    this.transports.forEach((transport) => transport.send(message));
+  }
+
+  /**
+   * Handle a message arriving from a transport
+   *
+   * Only events this bridge forwards itself are accepted, and `error` events never are:
+   * a remote failure is not a local one. Errors thrown by local listeners are logged
+   * so that they can't take down the transport.
+   * @param {Object} message - Bridge message, as validated by parseMessage
+   * @param {Object} source - The transport it arrived on
+   * @returns {boolean} True if the message was accepted and should be relayed further
+   */
+  receive(message, source) {
+    if (message.origin === this.originId || this.seenIds.has(message.id)) {
+      return false;
+    }
+    this.markSeen(message.id);
+    const { eventName, args } = message;
+    if (eventName === 'error' || this.exclude.includes(eventName) || !this.isBridged(eventName)) {
+      console.log(`EventBridge: Ignored ${eventName} from a peer, it isn't bridged`);
+      return false;
+    }
+
+    this.transports
+      .filter((transport) => transport !== source)
+      .forEach((transport) => transport.send(message));
+
+    this.skipNextDispatch = true;
+    try {
+      this.emitter.emit(eventName, ...args);
+    } catch (error) {
+      console.log(`EventBridge: A listener for ${eventName} failed: ${error?.message ?? error}`);
+    } finally {
+      this.skipNextDispatch = false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether an event name is covered by the bridged patterns
+   * @param {string} eventName - Name of the event
+   * @returns {boolean} True if the bridge listens to it locally
+   */
+  isBridged(eventName) {
+    return this.events.some((pattern) =>
+      this.emitter.isPattern(pattern)
+        ? this.emitter.matchesPattern(pattern, eventName)
+        : pattern === eventName
+    );
+  }
+
+  /**
+   * Remember a message id, forgetting the oldest ones past the limit
+   * @param {string} id - Message id
+   */
+  markSeen(id) {
+    this.seenIds.add(id);
+    if (this.seenIds.size > this.maxSeenIds) {
+      this.seenIds.delete(this.seenIds.values().next().value);
+    }
+  }
+
+  /**
+   * Stop forwarding and close every transport
+   * @returns {Promise<void>} Resolves once all transports are closed
+   */
+  async close() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    await Promise.all(this.transports.map((transport) => transport.close()));
+    this.transports = [];
+  }
+}
+
+/**
+ * Plausible sensor ranges, each in its own unit
+ */
+const SENSOR_RANGES = {
+  temperature: { min: -90, max: 60, unit: 'C' },
+  humidity: { min: 0, max: 100, unit: '%' },
+  pressure: { min: 870, max: 1085, unit: 'hPa' },
+  windSpeed: { min: 0, max: 410, unit: 'km/h' },
+};
+
+const REQUIRED_READING_FIELDS = ['temperature', 'humidity', 'pressure'];
+
+/**
+ * Base class for sources that stream readings into a WeatherStation
+ *
+ * Readings are objects with temperature, humidity, pressure and an optional windSpeed,
+ * expressed in the station's units. Every reading is range-checked before it reaches the
+ * station; rejected readings are kept for reporting and emitted as 'rejected' events.
+ * Accepted ones are emitted as 'reading' events after the station has been updated.
+ */
+class SensorSource extends EventEmitter {
+  /**
+   * @param {WeatherStation} station - The station to feed
+   * @param {Object} options - Source options
+   * @param {Object} options.ranges - Overrides for SENSOR_RANGES, per quantity
+   */
+  constructor(station, options = {}) {
+    super();
+    this.station = station;
+    this.ranges = { ...SENSOR_RANGES, ...options.ranges };
+    this.accepted = 0;
+    this.rejected = [];
+  }
+
+  /**
+   * Check a reading against the configured ranges
+   * @param {Object} reading - The reading to check
+   * @returns {Array<string>} Error messages, empty when the reading is valid
+   */
+  validateReading(reading) {
+    if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+      return ['reading must be an object'];
+    }
+
+    const units = this.station.getUnits();
+    const errors = [];
+    Object.entries(this.ranges).forEach(([quantity, { min, max, unit }]) => {
+      const value = reading[quantity];
+      if (value === undefined || value === null || value === '') {
+        if (REQUIRED_READING_FIELDS.includes(quantity)) {
+          errors.push(`${quantity} is missing`);
+        }
+        return;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${quantity} must be a number, got ${JSON.stringify(value)}`);
+        return;
+      }
+      const converted = convertUnit(quantity, value, units[quantity], unit);
+      if (converted < min || converted > max) {
+        const range = `${min}..${max}${getUnit(quantity, unit).symbol}`;
+        errors.push(
+          `${quantity} ${value}${getUnit(quantity, units[quantity]).symbol} is outside ${range}`
+        );
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Validate a reading and push it into the station
+   * @param {Object} reading - The reading to ingest
+   * @param {string} origin - Where the reading came from, used in reports
+   * @returns {boolean} True when the reading was accepted
+   */
+  ingest(reading, origin) {
+    const errors = this.validateReading(reading);
+    if (errors.length > 0) {
+      this.reject(reading, origin, errors);
+      return false;
+    }
+
+    const { temperature, humidity, pressure, windSpeed } = reading;
+    this.station.setMeasurements(temperature, humidity, pressure, windSpeed);
+    this.accepted++;
+    this.emit('reading', reading, origin);
+    return true;
+  }
+
+  /**
+   * Record a rejected reading and report it
+   * @param {any} reading - The raw reading
+   * @param {string} origin - Where the reading came from
+   * @param {Array<string>} errors - Why it was rejected
+   */
+  reject(reading, origin, errors) {
+    const rejection = { origin, reading, errors };
+    this.rejected.push(rejection);
+    console.log(`${this.constructor.name}: Rejected ${origin}: ${errors.join('; ')}`);
+    this.emit('rejected', rejection);
+  }
+
+  /**
+   * Get the readings rejected so far
+   * @returns {Array<Object>} Rejections with origin, reading and errors
+   */
+  getRejected() {
+    return [...this.rejected];
+  }
+
+  /**
+   * Summarise what the source has ingested so far
+   * @returns {Object} Accepted and rejected counts
+   */
+  getSummary() {
+    return { accepted: this.accepted, rejected: this.rejected.length };
+  }
+}
+
+/**
+ * Replays a CSV file of timestamped readings into a WeatherStation
+ *
+ * The first line is a header naming the columns: timestamp plus any of temperature,
+ * humidity, pressure and windSpeed. Timestamps are ISO dates or epoch milliseconds, and
+ * the gaps between them are replayed on the station's clock, divided by `speed`. Fields may
+ * be double-quoted, with `""` for a literal quote, but can't span lines.
+ */
+class CsvReplaySource extends SensorSource {
+  /**
+   * @param {WeatherStation} station - The station to feed
+   * @param {string} filePath - The CSV file to replay
+   * @param {Object} options - Source options, see SensorSource
+   * @param {number} options.speed - Replay speed multiplier, Infinity for no delays, default: 1
+   * @param {Object} options.clock - Clock used for delays, default: the station's clock
+   */
+  constructor(station, filePath, options = {}) {
+    super(station, options);
+    this.filePath = filePath;
+    this.speed = options.speed ?? 1;
+    this.clock = options.clock || station.clock;
+    this.stopped = false;
+    this.pending = null;
+  }
+
+  /**
+   * Replay the whole file
+   * @returns {Promise<Object>} Resolves with the summary once the last row was replayed
+   */
+  async replay() {
+    const text = await fs.promises.readFile(this.filePath, 'utf8');
+    const [header, ...rows] = text.split(/\r?\n/);
+    const name = path.basename(this.filePath);
+    let columns;
+    try {
+      columns = this.parseRow(header);
+    } catch (error) {
+      throw new Error(`${name}: Invalid header: ${error.message}`);
+    }
+    let previousTimestamp = null;
+
+    this.stopped = false;
+    for (let index = 0; index < rows.length && !this.stopped; index++) {
+      if (!rows[index].trim()) continue;
+      const origin = `${name}:${index + 2}`;
+      let cells;
+      try {
+        cells = this.parseRow(rows[index]);
+      } catch (error) {
+        this.reject(rows[index], origin, [error.message]);
+        continue;
+      }
+      if (cells.length !== columns.length) {
+        this.reject(rows[index], origin, [
+          `expected ${columns.length} columns, got ${cells.length}`,
+        ]);
+        continue;
+      }
+
+      const row = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+      const timestamp = this.parseTimestamp(row.timestamp);
+      if (timestamp === null) {
+        this.reject(row, origin, [`invalid timestamp ${JSON.stringify(row.timestamp)}`]);
+        continue;
+      }
+      if (previousTimestamp !== null && timestamp > previousTimestamp) {
+        await this.wait((timestamp - previousTimestamp) / this.speed);
+      }
+      previousTimestamp = timestamp;
+
+      const reading = { timestamp };
+      Object.keys(SENSOR_RANGES).forEach((quantity) => {
+        if (row[quantity] !== undefined && row[quantity] !== '') {
+          reading[quantity] = Number.isNaN(Number(row[quantity]))
+            ? row[quantity]
+            : Number(row[quantity]);
+        }
+      });
+      this.ingest(reading, origin);
+    }
+
+    this.emit('end', this.getSummary());
+    return this.getSummary();
+  }
+
+  /**
+   * Stop replaying after the current row
+   */
+  stop() {
+    this.stopped = true;
+    if (this.pending) {
+      this.clock.clearTimeout(this.pending.timer);
+      this.pending.resolve();
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Split a CSV line into cells
+   * @param {string} line - The line
+   * @returns {Array<string>} The cells, trimmed unless quoted, with quotes removed
+   */
+  parseRow(line) {
+    const cells = [];
+    let index = 0;
+    for (;;) {
+      while (line[index] === ' ' || line[index] === '\t') index++;
+      let cell = '';
+      if (line[index] === '"') {
+        const start = index;
+        index++;
+        for (;;) {
+          const quote = line.indexOf('"', index);
+          if (quote === -1) {
+            throw new Error(`unterminated quoted field at column ${start + 1}`);
+          }
+          cell += line.slice(index, quote);
+          index = quote + 1;
+          if (line[index] !== '"') break;
+          cell += '"';
+          index++;
+        }
+        while (line[index] === ' ' || line[index] === '\t') index++;
+        if (index < line.length && line[index] !== ',') {
+          throw new Error(`unexpected text after quoted field at column ${index + 1}`);
+        }
+      } else {
+        const comma = line.indexOf(',', index);
+        const end = comma === -1 ? line.length : comma;
+        cell = line.slice(index, end).trim();
+        if (cell.includes('"')) {
+          throw new Error(`stray quote in unquoted field at column ${index + 1}`);
+        }
+        index = end;
+      }
+      cells.push(cell);
+      if (index >= line.length) return cells;
+      index++; // Past the comma
+    }
+  }
+
+  /**
+   * Parse an ISO date or epoch milliseconds
+   * @param {string} value - The raw timestamp
+   * @returns {number|null} Epoch milliseconds, or null when it can't be parsed
+   */
+  parseTimestamp(value) {
+    if (!value) return null;
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  /**
+   * Wait on the clock
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>} Resolves after the delay, or when stopped
+   */
+  wait(ms) {
+    if (!Number.isFinite(ms) || ms <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const timer = this.clock.setTimeout(() => {
+        this.pending = null;
+        resolve();
+      }, ms);
+      this.pending = { timer, resolve };
+    });
+  }
+}
+
+/**
+ * Follows an NDJSON file, like `tail -f`, ingesting each appended line as a reading
+ *
+ * Lines are only processed once their newline has been written. A file that shrinks is
+ * assumed to have been truncated or rotated and is read again from the start.
+ */
+class NdjsonTailSource extends SensorSource {
+  /**
+   * @param {WeatherStation} station - The station to feed
+   * @param {string} filePath - The NDJSON file to follow
+   * @param {Object} options - Source options, see SensorSource
+   * @param {number} options.pollInterval - How often to check the file in ms, default: 250
+   * @param {boolean} options.fromStart - Ingest lines already in the file, default: true
+   */
+  constructor(station, filePath, options = {}) {
+    super(station, options);
+    this.filePath = filePath;
+    this.pollInterval = options.pollInterval ?? 250;
+    this.fromStart = options.fromStart ?? true;
+    this.offset = 0;
+    this.lineNumber = 0;
+    this.buffer = '';
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Start following the file
+   * @returns {Promise<void>} Resolves once the existing content has been handled
+   */
+  async start() {
+    if (!this.fromStart) {
+      const stats = await fs.promises.stat(this.filePath);
+      this.offset = stats.size;
+    }
+    await this.poll();
+    this.schedule();
+  }
+
+  /**
+   * Stop following the file
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the next poll
+   * A failed poll, e.g. the file was rotated between stat and read, is reported as an
+   * 'error' event (or logged when nobody listens) and the next poll tries again.
+   */
+  schedule() {
+    this.timer = setTimeout(async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error, { filePath: this.filePath });
+        } else {
+          console.log(`${this.constructor.name}: Cannot read ${this.filePath}: ${error.message}`);
+        }
+      }
+      if (this.timer) {
+        this.schedule();
+      }
+    }, this.pollInterval);
+  }
+
+  /**
+   * Read whatever was appended since the last poll
+   * @returns {Promise<void>} Resolves once the new lines have been ingested
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.readAppended().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  /**
+   * Read and ingest new bytes from the file
+   * @returns {Promise<void>}
+   */
+  async readAppended() {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.filePath);
+    } catch (error) {
+      console.log(`${this.constructor.name}: Cannot read ${this.filePath}: ${error.message}`);
+      return;
+    }
+
+    if (stats.size < this.offset) {
+      console.log(`${this.constructor.name}: ${this.filePath} was truncated, reading from start`);
+      this.offset = 0;
+      this.lineNumber = 0;
+      this.buffer = '';
+    }
+    if (stats.size === this.offset) return;
+
+    const handle = await fs.promises.open(this.filePath, 'r');
+    try {
+      const chunk = Buffer.alloc(stats.size - this.offset);
+      const { bytesRead } = await handle.read(chunk, 0, chunk.length, this.offset);
+      this.offset += bytesRead;
+      this.buffer += chunk.toString('utf8', 0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    const name = path.basename(this.filePath);
+    lines.forEach((line) => {
+      this.lineNumber++;
+      if (!line.trim()) return;
+      const origin = `${name}:${this.lineNumber}`;
+      let reading;
+      try {
+        reading = JSON.parse(line);
+      } catch (error) {
+        this.reject(line, origin, [`invalid JSON: ${error.message}`]);
+        return;
+      }
+      this.ingest(reading, origin);
+    });
+  }
+}
+
+/**
+ * Small local HTTP endpoint accepting readings as JSON
+ *
+ * POST a single reading or an array of readings to the configured path. The response
+ * lists how many were accepted and why any were rejected; the status is 200 when at
+ * least one reading was accepted and 422 when none were.
+ */
+class HttpIngestSource extends SensorSource {
+  /**
+   * @param {WeatherStation} station - The station to feed
+   * @param {Object} options - Source options, see SensorSource
+   * @param {string} options.host - Interface to bind, default: '127.0.0.1'
+   * @param {number} options.port - Port to listen on, 0 picks a free one, default: 0
+   * @param {string} options.path - Path readings are posted to, default: '/readings'
+   * @param {number} options.maxBodySize - Largest accepted body in bytes, default: 64 KiB
+   */
+  constructor(station, options = {}) {
+    super(station, options);
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.path = options.path || '/readings';
+    this.maxBodySize = options.maxBodySize ?? 64 * 1024;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} Resolves with the bound `{ port }`
+   */
+  listen() {
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve({ port: this.server.address().port });
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Handle one HTTP request
+   * @param {http.IncomingMessage} request - The request
+   * @param {http.ServerResponse} response - The response
+   */
+  handleRequest(request, response) {
+    const reply = (status, body) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    };
+
+    let pathname;
+    try {
+      ({ pathname } = new URL(request.url, 'http://localhost'));
+    } catch (error) {
+      reply(400, { error: `Invalid URL: ${request.url}` });
+      return;
+    }
+    if (pathname !== this.path) {
+      reply(404, { error: `Not found: ${request.url}` });
+      return;
+    }
+    if (request.method !== 'POST') {
+      response.setHeader('Allow', 'POST');
+      reply(405, { error: 'Only POST is supported' });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const collect = (chunk) => {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        // Drain the rest instead of destroying the request, which could reset the socket
+        // before the client reads the 413
+        request.off('data', collect);
+        request.resume();
+        chunks.length = 0;
+        response.setHeader('Connection', 'close');
+        reply(413, { error: `Body exceeds ${this.maxBodySize} bytes` });
+        return;
+      }
+      chunks.push(chunk);
+    };
+    request.on('data', collect);
+    request.on('end', () => {
+      if (response.writableEnded) return;
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (error) {
+        reply(400, { error: `Invalid JSON: ${error.message}` });
+        return;
+      }
+
+      const readings = Array.isArray(body) ? body : [body];
+      const origin = `${request.socket.remoteAddress} ${request.method} ${this.path}`;
+      const rejected = [];
+      let accepted = 0;
+      readings.forEach((reading, index) => {
+        if (this.ingest(reading, `${origin} #${index}`)) {
+          accepted++;
+        } else {
+          rejected.push({ index, errors: this.rejected[this.rejected.length - 1].errors });
+        }
+      });
+      reply(accepted > 0 ? 200 : 422, { accepted, rejected });
+    });
+  }
+}
+
+/**
+ * Validate a payload against a small schema
+ *
+ * Supported keywords:
+ * - type: 'string', 'number', 'boolean', 'object', 'array' or 'any'
+ * - enum: list of allowed values
+ * - required: property names an object must have
+ * - properties: schemas for object properties
+ * - items: schema for every array element
+ * @param {Object} schema - The schema to check against
+ * @param {any} value - The payload to check
+ * @param {string} path - Name used for the value in error messages, default: 'payload'
+ * @returns {Array<string>} Error messages, empty when the payload is valid
+ */
+function validatePayload(schema, value, path = 'payload') {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && schema.type !== 'any' && schema.type !== actualType) {
+    errors.push(`${path} should be ${schema.type} but is ${actualType}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validatePayload(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validatePayload(schema.items, item, `${path}[${index}]`));
+    });
   }
 
+  return errors;
+}
+
+/**
+ * Observable key/value model for data binding, with computed values
+ *
+ * Emits `change` with `{ changed, previous, current }` after every set() that changed
+ * something, and `change:<key>` with (value, previous) for each changed key, computed
+ * keys included.
+ */
+class Model extends EventEmitter {
   /**
-   * Notify only relevant observers about stock changes
-   * @param {string} symbol - The stock symbol that changed
+   * @param {Object} data - Initial values
    */
-  notify(symbol) {
-    console.log(`StockMarket: Notifying observers about ${symbol} changes...`);
+  constructor(data = {}) {
+    super();
+    this.data = { ...data };
+    this.computedValues = new Map(); // key -> { dependencies, compute }, in definition order
+  }
 
-    for (const [observer, stocks] of this.observers.entries()) {
-      // If observer subscribed to specific stocks, check if the changed stock is in their list
-      if (stocks.length === 0 || stocks.includes(symbol)) {
-        observer.update(this, symbol);
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {any} The value
+   */
+  get(key) {
+    return this.data[key];
+  }
+
+  /**
+   * Set one value, or several at once from an object
+   * Computed values depending on the changed keys are re-evaluated before any event fires.
+   * @param {string|Object} key - Key, or object of key -> value
+   * @param {any} value - The value, when a single key is given
+   * @returns {Array<string>} Keys whose value changed
+   */
+  set(key, value) {
+    const updates = typeof key === 'object' ? key : { [key]: value };
+    const previous = { ...this.data };
+    const changed = [];
+
+    for (const [name, newValue] of Object.entries(updates)) {
+      if (this.computedValues.has(name)) {
+        throw new Error(`Model: ${name} is computed and can't be set`);
+      }
+      if (!Object.is(this.data[name], newValue)) {
+        this.data[name] = newValue;
+        changed.push(name);
+      }
+    }
+    if (changed.length === 0) {
+      return changed;
+    }
+
+    // Definition order guarantees a computed value's computed dependencies are fresh
+    for (const [name, { dependencies }] of this.computedValues.entries()) {
+      if (dependencies.some((dependency) => changed.includes(dependency))) {
+        const newValue = this.evaluate(name);
+        if (!Object.is(this.data[name], newValue)) {
+          this.data[name] = newValue;
+          changed.push(name);
+        }
+      }
+    }
+
+    changed.forEach((name) => this.emit(`change:${name}`, this.data[name], previous[name]));
+    this.emit('change', { changed, previous, current: { ...this.data } });
+    return changed;
+  }
+
+  /**
+   * Define a value derived from other keys, kept up to date as they change
+   * @param {string} key - Key of the computed value
+   * @param {Array<string>} dependencies - Keys it is computed from, computed ones included
+   * @param {Function} compute - Called with the dependency values in order
+   * @returns {any} The initial value
+   */
+  computed(key, dependencies, compute) {
+    if (key in this.data) {
+      throw new Error(`Model: ${key} already exists`);
+    }
+    this.computedValues.set(key, { dependencies, compute });
+    this.data[key] = this.evaluate(key);
+    return this.data[key];
+  }
+
+  /**
+   * Check whether a key is computed
+   * @param {string} key - Key
+   * @returns {boolean} True for computed keys
+   */
+  isComputed(key) {
+    return this.computedValues.has(key);
+  }
+
+  /**
+   * Run the compute function of a computed key
+   * @param {string} key - Key of the computed value
+   * @returns {any} The computed value
+   */
+  evaluate(key) {
+    const { dependencies, compute } = this.computedValues.get(key);
+    return compute(...dependencies.map((dependency) => this.data[dependency]));
+  }
+
+  /**
+   * Get a copy of all values
+   * @returns {Object} Key -> value
+   */
+  toJSON() {
+    return { ...this.data };
+  }
+}
+
+/**
+ * Event propagated through the UserInterface component tree, modelled on DOM events
+ */
+class UiEvent {
+  /**
+   * @param {string} type - Event type, e.g. 'change'
+   * @param {string} target - ID of the component the event is dispatched on
+   * @param {Object} options - Event options
+   * @param {any} options.detail - Event data, default: null
+   * @param {boolean} options.bubbles - Whether the event bubbles up the tree, default: true
+   * @param {boolean} options.cancelable - Whether preventDefault() has an effect,
+   *   default: true
+   */
+  constructor(type, target, options = {}) {
+    this.type = type;
+    this.target = target;
+    this.detail = options.detail ?? null;
+    this.bubbles = options.bubbles ?? true;
+    this.cancelable = options.cancelable ?? true;
+    this.currentTarget = null;
+    this.eventPhase = UiEvent.NONE;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+    this.immediatePropagationStopped = false;
+  }
+
+  /**
+   * Don't propagate to further components; listeners on the current one still run
+   */
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+
+  /**
+   * Don't run any further listener, not even on the current component
+   */
+  stopImmediatePropagation() {
+    this.propagationStopped = true;
+    this.immediatePropagationStopped = true;
+  }
+
+  /**
+   * Cancel the default action, e.g. a checkbox toggling
+   */
+  preventDefault() {
+    if (this.cancelable) {
+      this.defaultPrevented = true;
+    }
+  }
+}
+
+UiEvent.NONE = 0;
+UiEvent.CAPTURING_PHASE = 1;
+UiEvent.AT_TARGET = 2;
+UiEvent.BUBBLING_PHASE = 3;
+
+/**
+ * User Interface Demonstration using the Observer pattern
+ *
+ * Components form a tree. Besides the flat events like `button-click`, events can be
+ * dispatched on a component and propagate through the tree like DOM events: capturing
+ * from the root down to the target, then bubbling back up.
+ */
+class UserInterface {
+  /**
+   * @param {Object} options - UI options
+   * @param {string} options.invalidPayloads - 'report' to log and emit `invalid-payload`,
+   *   'reject' to throw, default: 'report'. Listeners never see an invalid payload.
+   * @param {boolean} options.captureStacks - Record where listeners are registered from,
+   *   see EventEmitter, default: false
+   */
+  constructor(options = {}) {
+    this.eventEmitter = new EventEmitter({ captureStacks: options.captureStacks, owner: this });
+    this.components = new Map();
+    this.eventSchemas = new Map();
+    this.invalidPayloads = options.invalidPayloads || 'report';
+
+    // Per component type: flat events it produces with the schema of their payload,
+    // the tree events it can be the target of and its initial state
+    this.componentTypes = new Map([
+      [
+        'button',
+        { events: { 'button-click': { type: 'string' } }, domEvents: ['click', 'focus', 'blur'] },
+      ],
+      ['form', { events: { 'form-submit': { type: 'object' } }, domEvents: ['submit'] }],
+      [
+        'input',
+        {
+          domEvents: ['input', 'change', 'click', 'focus', 'blur'],
+          state: { value: '', focused: false },
+        },
+      ],
+      [
+        'checkbox',
+        {
+          domEvents: ['change', 'click', 'focus', 'blur'],
+          state: { checked: false, focused: false },
+        },
+      ],
+      [
+        'select',
+        {
+          domEvents: ['change', 'click', 'focus', 'blur'],
+          state: { value: null, options: [], focused: false },
+        },
+      ],
+      [
+        'list',
+        {
+          domEvents: ['select', 'click', 'focus', 'blur'],
+          state: { items: [], selectedIndex: -1, focused: false },
+        },
+      ],
+    ]);
+
+    // Register some default events
+    this.eventEmitter.on('button-click', (buttonId) => {
+      console.log(`UI: Button ${buttonId} was clicked`);
+    });
+
+    this.eventEmitter.on('form-submit', (formData) => {
+      console.log('UI: Form submitted with data:', formData);
+    });
+  }
+
+  /**
+   * Add a UI component
+   *
+   * The schemas of the events the component produces are registered along with it:
+   * first the defaults of its type, then the ones passed in `options.events`. They apply
+   * to this component only, so two forms can validate their submissions differently.
+   * @param {string} id - Component ID, without the emitter's delimiter or '*' since tree
+   *   event names are built from it
+   * @param {string} type - Component type
+   * @param {Object} options - Component options
+   * @param {Object} options.events - Event name -> payload schema
+   * @param {Object} options.state - Initial state, merged over the type's defaults
+   * @param {string} options.parent - ID of the parent component, default: none (a root)
+   */
+  addComponent(id, type, options = {}) {
+    const typeInfo = this.componentTypes.get(type) || {};
+    const events = { ...(typeInfo.events || {}), ...(options.events || {}) };
+    const parent = options.parent ?? null;
+    const { delimiter } = this.eventEmitter;
+    if (typeof id !== 'string' || !id || id.includes(delimiter) || id.includes('*')) {
+      throw new Error(
+        `UI: Invalid component ID ${JSON.stringify(id)}, IDs can't contain '${delimiter}' or '*'`
+      );
+    }
+    if (this.components.has(id)) {
+      throw new Error(`UI: A component with ID ${id} already exists`);
+    }
+    if (parent !== null) {
+      this.getComponent(parent).children.push(id);
+    }
+
+    this.components.set(id, {
+      id,
+      type,
+      state: { ...(typeInfo.state || {}), ...(options.state || {}) },
+      events: Object.keys(events),
+      schemas: new Map(Object.entries(events)),
+      parent,
+      children: [],
+    });
+    console.log(`UI: Added ${type} component with ID ${id}`);
+  }
+
+  /**
+   * Get the chain of components from the root down to a component
+   * @param {string} id - Component ID
+   * @returns {Array<string>} Component IDs, root first, the component itself last
+   */
+  getPath(id) {
+    const path = [];
+    for (let current = id; current !== null; current = this.getComponent(current).parent) {
+      path.unshift(current);
+    }
+    return path;
+  }
+
+  /**
+   * Listen for tree events on a component
+   *
+   * Bubbling listeners see events targeted at the component or bubbling up from its
+   * descendants; capturing listeners see them on the way down, before the target does.
+   * @param {string} id - Component ID
+   * @param {string} type - Event type, e.g. 'change'
+   * @param {Function} listener - Called with the UiEvent
+   * @param {Object} options - Listener options
+   * @param {boolean} options.capture - Listen in the capturing phase, default: false
+   * @param {boolean} options.once - Remove the listener after its first call, default: false
+   * @returns {Function} Unsubscribe function
+   */
+  addEventListener(id, type, listener, options = {}) {
+    this.getComponent(id);
+    const eventName = `${options.capture ? 'capture' : 'bubble'}:${id}:${type}`;
+    const wrapper = (uiEvent, emitterEvent) => {
+      listener(uiEvent);
+      if (uiEvent.immediatePropagationStopped) {
+        emitterEvent.stopPropagation();
+      }
+    };
+    return options.once
+      ? this.eventEmitter.once(eventName, wrapper, { withEvent: true })
+      : this.eventEmitter.on(eventName, wrapper, { withEvent: true });
+  }
+
+  /**
+   * Dispatch a tree event on a component
+   * @param {string} id - Target component ID
+   * @param {string} type - Event type; must be one the component's type produces
+   * @param {Object} options - UiEvent options: detail, bubbles, cancelable
+   * @returns {UiEvent} The event, e.g. to check defaultPrevented
+   */
+  dispatchEvent(id, type, options = {}) {
+    const component = this.getComponent(id);
+    const { domEvents } = this.componentTypes.get(component.type) || {};
+    if (domEvents && !domEvents.includes(type)) {
+      throw new Error(`UI: ${component.type} components don't produce ${type} events`);
+    }
+
+    const event = new UiEvent(type, id, options);
+    const ancestors = this.getPath(id).slice(0, -1);
+    const invoke = (currentId, phase, listeners) => {
+      event.currentTarget = currentId;
+      event.eventPhase = phase;
+      this.eventEmitter.emit(`${listeners}:${currentId}:${type}`, event);
+    };
+
+    for (const ancestor of ancestors) {
+      if (event.propagationStopped) break;
+      invoke(ancestor, UiEvent.CAPTURING_PHASE, 'capture');
+    }
+    if (!event.propagationStopped) {
+      invoke(id, UiEvent.AT_TARGET, 'capture');
+      if (!event.immediatePropagationStopped) {
+        invoke(id, UiEvent.AT_TARGET, 'bubble');
+      }
+    }
+    if (event.bubbles) {
+      for (const ancestor of [...ancestors].reverse()) {
+        if (event.propagationStopped) break;
+        invoke(ancestor, UiEvent.BUBBLING_PHASE, 'bubble');
       }
     }
+
+    event.currentTarget = null;
+    event.eventPhase = UiEvent.NONE;
+    return event;
+  }
+
+  /**
+   * Look up a component, throwing when it doesn't exist
+   * @param {string} id - Component ID
+   * @returns {Object} The component
+   */
+  getComponent(id) {
+    if (!this.components.has(id)) {
+      throw new Error(`UI: No component found with ID ${id}`);
+    }
+    return this.components.get(id);
+  }
+
+  /**
+   * Update part of a component's state
+   *
+   * Emits `state-change:<id>` with `{ componentId, changed, previous, state }` when any
+   * value actually changed, so `state-change:*` observes every component.
+   * @param {string} id - Component ID
+   * @param {Object|Function} update - Values to merge in, or a function receiving the
+   *   current state and returning them
+   * @returns {Array<string>} State keys whose value changed
+   */
+  setState(id, update) {
+    const component = this.getComponent(id);
+    const previous = component.state;
+    const values = typeof update === 'function' ? update({ ...previous }) : update;
+    const changed = Object.keys(values).filter((key) => !Object.is(previous[key], values[key]));
+    if (changed.length === 0) {
+      return changed;
+    }
+
+    component.state = { ...previous, ...values };
+    this.eventEmitter.emit(`state-change:${id}`, {
+      componentId: id,
+      changed,
+      previous: { ...previous },
+      state: { ...component.state },
+    });
+    return changed;
+  }
+
+  /**
+   * Read a component's state
+   * @param {string} id - Component ID
+   * @param {string} key - Return only this key, default: the whole state
+   * @returns {any} A copy of the state, or the value of `key`
+   */
+  getState(id, key) {
+    const { state } = this.getComponent(id);
+    return key === undefined ? { ...state } : state[key];
+  }
+
+  /**
+   * Bind a component state key to a model key, both ways
+   *
+   * The component starts with the model's value. Afterwards a model change updates the
+   * component and a component change updates the model; unchanged values stop the echo.
+   * Computed model keys are bound one way, model to component.
+   * @param {string} id - Component ID
+   * @param {Model} model - The model
+   * @param {string} key - Model key
+   * @param {Object} options - Binding options
+   * @param {string} options.stateKey - Component state key, default: 'value'
+   * @param {Function} options.format - Model value -> state value, default: unchanged
+   * @param {Function} options.parse - State value -> model value, default: unchanged
+   * @returns {Function} Unbind function
+   */
+  bind(id, model, key, options = {}) {
+    const { stateKey = 'value', format = (value) => value, parse = (value) => value } = options;
+    this.getComponent(id);
+
+    const toView = (value) => this.setState(id, { [stateKey]: format(value) });
+    toView(model.get(key));
+    const unsubscribers = [model.on(`change:${key}`, toView)];
+    if (!model.isComputed(key)) {
+      unsubscribers.push(
+        this.eventEmitter.on(`state-change:${id}`, ({ changed, state }) => {
+          if (changed.includes(stateKey)) {
+            model.set(key, parse(state[stateKey]));
+          }
+        })
+      );
+    }
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }
+
+  /**
+   * Declare the payload schema of an event, replacing any previous one
+   *
+   * Without a component the schema applies to events no component schema covers.
+   * @param {string} eventName - Name of the event
+   * @param {Object} schema - Schema understood by validatePayload
+   * @param {string} componentId - Component producing the event, default: none
+   */
+  defineEventSchema(eventName, schema, componentId) {
+    const schemas =
+      componentId === undefined ? this.eventSchemas : this.getComponent(componentId).schemas;
+    schemas.set(eventName, schema);
+  }
+
+  /**
+   * Get the schema a payload of an event is checked against
+   * @param {string} eventName - Name of the event
+   * @param {string} componentId - Component producing the event, default: none
+   * @returns {Object|undefined} The component's schema, else the shared one
+   */
+  getEventSchema(eventName, componentId) {
+    const component = componentId === undefined ? null : this.components.get(componentId);
+    return component?.schemas.get(eventName) ?? this.eventSchemas.get(eventName);
+  }
+
+  /**
+   * Check a payload against the schema of its event
+   *
+   * Invalid payloads are reported through `invalid-payload` or thrown, depending on
+   * the `invalidPayloads` option.
+   * @param {string} eventName - Name of the event
+   * @param {any} payload - Payload about to be emitted
+   * @param {string} componentId - Component producing the event, default: none
+   * @returns {boolean} True if the payload may be emitted
+   */
+  validateEvent(eventName, payload, componentId) {
+    const schema = this.getEventSchema(eventName, componentId);
+    if (!schema) {
+      return true;
+    }
+
+    const errors = validatePayload(schema, payload);
+    if (errors.length === 0) {
+      return true;
+    }
+
+    if (this.invalidPayloads === 'reject') {
+      const error = new Error(`Invalid ${eventName} payload: ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    console.log(`UI: Invalid ${eventName} payload: ${errors.join('; ')}`);
+    this.eventEmitter.emit('invalid-payload', { eventName, payload, errors, componentId });
+    return false;
+  }
+
+  /**
+   * Emit a UI event after validating its payload
+   * @param {string} eventName - Name of the event
+   * @param {any} payload - Event payload
+   * @param {string} componentId - Component producing the event, default: none
+   * @returns {boolean} True if the event was dispatched
+   */
+  emit(eventName, payload, componentId) {
+    if (!this.validateEvent(eventName, payload, componentId)) {
+      return false;
+    }
+
+    this.eventEmitter.emit(eventName, payload);
+    return true;
+  }
+
+  /**
+   * Simulate a button click
+   * @param {string} buttonId - ID of the button
+   */
+  clickButton(buttonId) {
+    if (!this.components.has(buttonId) || this.components.get(buttonId).type !== 'button') {
+      console.log(`UI: No button found with ID ${buttonId}`);
+      return;
+    }
+
+    console.log(`UI: Clicking button ${buttonId}`);
+    this.emit('button-click', buttonId, buttonId);
+  }
+
+  /**
+   * Simulate a form submission
+   *
+   * Waits for every form-submit handler, including async ones, before reporting.
+   * The submission fails if the data doesn't match the form-submit schema, a handler
+   * throws or a validator stops propagation.
+   * @param {string} formId - ID of the form
+   * @param {Object} data - Form data
+   * @returns {Promise<boolean>} True if every handler completed without error
+   */
+  async submitForm(formId, data) {
+    if (!this.components.has(formId) || this.components.get(formId).type !== 'form') {
+      console.log(`UI: No form found with ID ${formId}`);
+      return false;
+    }
+
+    console.log(`UI: Submitting form ${formId}`);
+    if (!this.validateEvent('form-submit', data, formId)) {
+      return false;
+    }
+
+    const outcomes = await this.eventEmitter.emitAsyncWithMode('settled', 'form-submit', data);
+    if (outcomes.some((outcome) => outcome.status === 'skipped')) {
+      console.log(`UI: Form ${formId} submission was stopped`);
+      return false;
+    }
+
+    const failures = outcomes.filter((outcome) => outcome.status === 'rejected');
+
+    if (failures.length > 0) {
+      failures.forEach((failure) => {
+        const reason = String(failure.reason?.message ?? failure.reason);
+        console.log(`UI: Form ${formId} handler failed: ${reason}`);
+      });
+      return false;
+    }
+
+    console.log(`UI: Form ${formId} submitted successfully`);
+    return true;
+  }
+
+  /**
+   * Register a validator that runs before the other form-submit handlers
+   *
+   * When the validator rejects the data, propagation is stopped so that the remaining
+   * handlers never see the invalid submission.
+   * @param {Function} validator - Receives the form data, returns an error message or null
+   * @param {number} priority - Listener priority, default: 100
+   * @returns {Function} Unsubscribe function
+   */
+  addFormValidator(validator, priority = 100) {
+    return this.eventEmitter.on(
+      'form-submit',
+      (formData, event) => {
+        const error = validator(formData);
+        if (error) {
+          console.log(`UI: Validation failed: ${error}`);
+          event.stopPropagation();
+        }
+      },
+      { priority, withEvent: true }
+    );
   }
 
   /**
-   * Update stock price
-   * @param {string} symbol - Stock symbol
-   * @param {number} price - New stock price
+   * Describe the subscriptions on the UI's event emitter
+   * @returns {Array<Object>} See EventEmitter#getListenerInfo
    */
-  setStockPrice(symbol, price) {
-    console.log(`StockMarket: ${symbol} price updated to $${price}`);
-    this.stocks.set(symbol, price);
-    this.notify(symbol);
+  getListenerInfo() {
+    return this.eventEmitter.getListenerInfo();
   }
 
   /**
-   * Get current price for a stock
-   * @param {string} symbol - Stock symbol
-   * @returns {number} Current stock price
+   * Set the listener limit that triggers a memory-leak warning
+   * @param {number} limit - Maximum listeners, 0 disables the warning
+   * @param {string} eventName - Apply the limit to this event only, default: all events
    */
-  getStockPrice(symbol) {
-    return this.stocks.get(symbol);
+  setMaxListeners(limit, eventName) {
+    this.eventEmitter.setMaxListeners(limit, eventName);
   }
 
   /**
-   * Get all current stock prices
-   * @returns {Map} Map of all stock prices
+   * Subscribe to UI events
+   * @param {string} eventName - Name of the event
+   * @param {Function} callback - Function to call when event is triggered
+   * @param {Object} options - Listener options, e.g. `{ priority }`
+   * @returns {Function} Unsubscribe function
    */
-  getAllStocks() {
-    return new Map(this.stocks);
+  on(eventName, callback, options = {}) {
+    return this.eventEmitter.on(eventName, callback, options);
   }
 }
 
 /**
- * Concrete Observer - Stock Dashboard
+ * Scripted user interaction for a UserInterface, for tests and demos without a DOM
+ *
+ * Every action changes component state the way a user would and dispatches the same
+ * event sequence a browser does, e.g. typing fires `input` per character and `change`
+ * once the field loses focus. Actions and the events they dispatched are recorded.
  */
-class StockDashboard extends Observer {
-  constructor(name = 'Stock Dashboard') {
-    super();
-    this.name = name;
-    this.stocks = new Map();
-  }
-
+class InteractionSimulator {
   /**
-   * @inheritdoc
+   * @param {UserInterface} ui - The UI to drive
    */
-  update(subject, symbol) {
-    if (subject instanceof StockMarket) {
-      if (symbol) {
-        // Single stock update
-        this.stocks.set(symbol, subject.getStockPrice(symbol));
-        this.displayStock(symbol);
-      } else {
-        // Full update
-        this.stocks = subject.getAllStocks();
-        this.displayAll();
-      }
-    }
+  constructor(ui) {
+    this.ui = ui;
+    this.focusedId = null;
+    this.valueOnFocus = undefined;
+    this.log = [];
   }
 
   /**
-   * Display info for a specific stock
-   * @param {string} symbol - Stock symbol
+   * Dispatch an event and record it
+   * @param {string} id - Target component ID
+   * @param {string} type - Event type
+   * @param {Object} options - UiEvent options
+   * @returns {UiEvent} The dispatched event
    */
-  displayStock(symbol) {
-    const price = this.stocks.get(symbol);
-    console.log(`\n${this.name}: ${symbol} is now $${price.toFixed(2)}`);
+  dispatch(id, type, options = {}) {
+    const event = this.ui.dispatchEvent(id, type, options);
+    this.log.push({ target: id, type, defaultPrevented: event.defaultPrevented });
+    return event;
   }
 
   /**
-   * Display all stocks
+   * Move focus to a component, blurring the previous one
+   * @param {string} id - Component ID
    */
-  displayAll() {
-    console.log(`\n${this.name}: Current Stock Prices:`);
-    for (const [symbol, price] of this.stocks.entries()) {
-      console.log(`- ${symbol}: $${price.toFixed(2)}`);
-    }
-  }
-}
-
-/**
- * Concrete Observer - StockAlertService
- */
-class StockAlertService extends Observer {
-  constructor() {
-    super();
-    this.alertThresholds = new Map();
-    this.name = 'Stock Alert Service';
+  focus(id) {
+    if (this.focusedId === id) return;
+    this.blur();
+    this.ui.getComponent(id);
+    this.focusedId = id;
+    this.valueOnFocus = this.ui.getState(id, 'value');
+    this.ui.setState(id, { focused: true });
+    this.dispatch(id, 'focus', { bubbles: false, cancelable: false });
   }
 
   /**
-   * Set price threshold for a stock
-   * @param {string} symbol - Stock symbol
-   * @param {number} minPrice - Alert when price goes below this threshold
-   * @param {number} maxPrice - Alert when price goes above this threshold
+   * Remove focus, firing `change` first if the focused input's value was edited
    */
-  setAlertThreshold(symbol, minPrice, maxPrice) {
-    this.alertThresholds.set(symbol, { min: minPrice, max: maxPrice });
-    console.log(
-      `${this.name}: Set alert for ${symbol} when price is below $${minPrice} or above $${maxPrice}`
-    );
+  blur() {
+    const id = this.focusedId;
+    if (id === null) return;
+    this.focusedId = null;
+    const { type } = this.ui.getComponent(id);
+    if (type === 'input' && this.ui.getState(id, 'value') !== this.valueOnFocus) {
+      this.dispatch(id, 'change', { cancelable: false, detail: this.ui.getState(id, 'value') });
+    }
+    this.ui.setState(id, { focused: false });
+    this.dispatch(id, 'blur', { bubbles: false, cancelable: false });
   }
 
   /**
-   * @inheritdoc
+   * Type into an input, one `input` event per character
+   * A cancelled input event drops that character.
+   * @param {string} id - Input component ID
+   * @param {string} text - Text to type
+   * @param {Object} options - Typing options
+   * @param {boolean} options.replace - Clear the field first, default: false
    */
-  update(subject, symbol) {
-    if (subject instanceof StockMarket && symbol) {
-      const price = subject.getStockPrice(symbol);
-      const threshold = this.alertThresholds.get(symbol);
-
-      if (threshold) {
-        if (price < threshold.min) {
-          this.triggerAlert(symbol, price, 'below', threshold.min);
-        } else if (price > threshold.max) {
-          this.triggerAlert(symbol, price, 'above', threshold.max);
-        }
+  type(id, text, options = {}) {
+    this.expectType(id, 'input');
+    this.focus(id);
+    if (options.replace) {
+      this.ui.setState(id, { value: '' });
+    }
+    for (const character of text) {
+      const previous = this.ui.getState(id, 'value');
+      this.ui.setState(id, { value: previous + character });
+      const event = this.dispatch(id, 'input', { detail: character });
+      if (event.defaultPrevented) {
+        this.ui.setState(id, { value: previous });
       }
     }
   }
 
   /**
-   * Trigger price alert
-   * @param {string} symbol - Stock symbol
-   * @param {number} price - Current price
-   * @param {string} direction - 'above' or 'below'
-   * @param {number} threshold - Threshold value
+   * Set a checkbox, firing `change` if that toggles it
+   * @param {string} id - Checkbox component ID
+   * @param {boolean} checked - Desired state, default: true
    */
-  triggerAlert(symbol, price, direction, threshold) {
-    console.log(
-      `\n${this.name}: ALERT! ${symbol} at $${price.toFixed(
-        2
-      )} is ${direction} the threshold of $${threshold.toFixed(2)}`
-    );
-  }
-}
-
-/**
- * Event Management System - A general purpose implementation for events
- */
-class EventEmitter {
-  constructor() {
-    this.events = new Map();
+  check(id, checked = true) {
+    this.expectType(id, 'checkbox');
+    this.focus(id);
+    if (this.ui.getState(id, 'checked') === checked) return;
+    this.ui.setState(id, { checked });
+    if (this.dispatch(id, 'change', { detail: checked }).defaultPrevented) {
+      this.ui.setState(id, { checked: !checked });
+    }
   }
 
   /**
-   * Subscribe to an event
-   * @param {string} eventName - Name of the event
-   * @param {Function} callback - Function to call when event is triggered
-   * @returns {Function} Unsubscribe function
+   * Pick an option of a select
+   * @param {string} id - Select component ID
+   * @param {string} value - One of the select's options
    */
-  on(eventName, callback) {
-    if (!this.events.has(eventName)) {
-      this.events.set(eventName, []);
+  selectOption(id, value) {
+    this.expectType(id, 'select');
+    const { options, value: previous } = this.ui.getState(id);
+    if (!options.includes(value)) {
+      throw new Error(`UI: ${id} has no option ${JSON.stringify(value)}`);
+    }
+    this.focus(id);
+    if (previous === value) return;
+    this.ui.setState(id, { value });
+    if (this.dispatch(id, 'change', { detail: value }).defaultPrevented) {
+      this.ui.setState(id, { value: previous });
     }
-
-    this.events.get(eventName).push(callback);
-
-    // Return a function to unsubscribe
-    return () => {
-      const callbacks = this.events.get(eventName);
-      const index = callbacks.indexOf(callback);
-      if (index !== -1) {
-        callbacks.splice(index, 1);
-      }
-    };
   }
 
   /**
-   * Emit an event
-   * @param {string} eventName - Name of the event
-   * @param {...any} args - Arguments to pass to the callbacks
+   * Select an item of a list
+   * @param {string} id - List component ID
+   * @param {number} index - Index of the item
    */
-  emit(eventName, ...args) {
-    if (!this.events.has(eventName)) {
-      return;
+  selectItem(id, index) {
+    this.expectType(id, 'list');
+    const { items, selectedIndex: previous } = this.ui.getState(id);
+    if (index < 0 || index >= items.length) {
+      throw new Error(`UI: ${id} has no item ${index}`);
+    }
+    this.focus(id);
+    this.ui.setState(id, { selectedIndex: index });
+    const event = this.dispatch(id, 'select', { detail: { index, item: items[index] } });
+    if (event.defaultPrevented) {
+      this.ui.setState(id, { selectedIndex: previous });
     }
-
-    const callbacks = this.events.get(eventName);
-    callbacks.forEach((callback) => {
-      callback(...args);
-    });
   }
 
   /**
-   * Remove all listeners for an event
-   * @param {string} eventName - Name of the event
+   * Click a component; an uncancelled click on a button also reaches clickButton()
+   * @param {string} id - Component ID
    */
-  removeAllListeners(eventName) {
-    if (eventName) {
-      this.events.delete(eventName);
-    } else {
-      this.events.clear();
+  click(id) {
+    this.focus(id);
+    const event = this.dispatch(id, 'click');
+    if (!event.defaultPrevented && this.ui.getComponent(id).type === 'button') {
+      this.ui.clickButton(id);
     }
   }
 
   /**
-   * Get the number of listeners for an event
-   * @param {string} eventName - Name of the event
-   * @returns {number} Number of listeners
+   * Submit a form with the values of its named fields
+   * Fields are descendants with a `name` in their state: inputs and selects contribute
+   * their value, checkboxes whether they are checked and lists their selected item.
+   * @param {string} formId - Form component ID
+   * @returns {Promise<boolean>} False when the submit event was cancelled, otherwise the
+   *   result of submitForm()
    */
-  listenerCount(eventName) {
-    if (!this.events.has(eventName)) {
-      return 0;
+  async submit(formId) {
+    this.expectType(formId, 'form');
+    this.blur();
+    if (this.dispatch(formId, 'submit').defaultPrevented) {
+      return false;
     }
-    return this.events.get(eventName).length;
-  }
-}
-
-/**
- * User Interface Demonstration using the Observer pattern
- */
-class UserInterface {
-  constructor() {
-    this.eventEmitter = new EventEmitter();
-    this.components = new Map();
-
-    // Register some default events
-    this.eventEmitter.on('button-click', (buttonId) => {
-      console.log(`UI: Button ${buttonId} was clicked`);
-    });
-
-    this.eventEmitter.on('form-submit', (formData) => {
-      console.log('UI: Form submitted with data:', formData);
-    });
+    return this.ui.submitForm(formId, this.collectFormData(formId));
   }
 
   /**
-   * Add a UI component
-   * @param {string} id - Component ID
-   * @param {string} type - Component type
+   * Gather the values of a form's named fields
+   * @param {string} formId - Form component ID
+   * @returns {Object} Field name -> value
    */
-  addComponent(id, type) {
-    this.components.set(id, { id, type, state: {} });
-    console.log(`UI: Added ${type} component with ID ${id}`);
+  collectFormData(formId) {
+    const data = {};
+    const visit = (id) => {
+      const { type, state, children } = this.ui.getComponent(id);
+      if (state.name) {
+        if (type === 'checkbox') data[state.name] = state.checked;
+        else if (type === 'list') data[state.name] = state.items[state.selectedIndex] ?? null;
+        else data[state.name] = state.value;
+      }
+      children.forEach(visit);
+    };
+    this.ui.getComponent(formId).children.forEach(visit);
+    return data;
   }
 
   /**
-   * Simulate a button click
-   * @param {string} buttonId - ID of the button
+   * Run a scripted sequence of actions
+   * @param {Array<Array>} steps - `[action, ...args]` entries, e.g. `['type', 'name', 'Ada']`
+   * @returns {Promise<Array<Object>>} The recorded events of the whole script
    */
-  clickButton(buttonId) {
-    if (!this.components.has(buttonId) || this.components.get(buttonId).type !== 'button') {
-      console.log(`UI: No button found with ID ${buttonId}`);
-      return;
+  async run(steps) {
+    const start = this.log.length;
+    for (const [action, ...args] of steps) {
+      if (typeof this[action] !== 'function' || !InteractionSimulator.ACTIONS.includes(action)) {
+        throw new Error(`InteractionSimulator: Unknown action ${action}`);
+      }
+      await this[action](...args);
     }
-
-    console.log(`UI: Clicking button ${buttonId}`);
-    this.eventEmitter.emit('button-click', buttonId);
+    return this.log.slice(start);
   }
 
   /**
-   * Simulate a form submission
-   * @param {string} formId - ID of the form
-   * @param {Object} data - Form data
+   * Get every recorded event
+   * @returns {Array<Object>} `{ target, type, defaultPrevented }` entries
    */
-  submitForm(formId, data) {
-    if (!this.components.has(formId) || this.components.get(formId).type !== 'form') {
-      console.log(`UI: No form found with ID ${formId}`);
-      return;
-    }
-
-    console.log(`UI: Submitting form ${formId}`);
-    this.eventEmitter.emit('form-submit', data);
+  getLog() {
+    return [...this.log];
   }
 
   /**
-   * Subscribe to UI events
-   * @param {string} eventName - Name of the event
-   * @param {Function} callback - Function to call when event is triggered
-   * @returns {Function} Unsubscribe function
+   * Throw unless a component has the given type
+   * @param {string} id - Component ID
+   * @param {string} type - Expected type
    */
-  on(eventName, callback) {
-    return this.eventEmitter.on(eventName, callback);
+  expectType(id, type) {
+    const component = this.ui.getComponent(id);
+    if (component.type !== type) {
+      throw new Error(`UI: ${id} is a ${component.type}, not a ${type}`);
+    }
   }
 }
 
+InteractionSimulator.ACTIONS = [
+  'focus',
+  'blur',
+  'type',
+  'check',
+  'selectOption',
+  'selectItem',
+  'click',
+  'submit',
+];
+
 /**
  * Client code - demonstrates how to use the Observer pattern
  */
-function clientCode() {
+async function clientCode() {
   // Weather Station Example
   console.log('WEATHER STATION EXAMPLE');
   console.log('=======================');
 
-  // Create the weather station (subject)
-  const weatherStation = new WeatherStation();
+  // Create the weather station (subject), on a manual clock so hours can pass instantly
+  const weatherClock = new ManualClock();
+  const weatherStation = new WeatherStation({ clock: weatherClock });
 
   // Create displays (observers)
   const currentDisplay = new CurrentConditionsDisplay();
   const statisticsDisplay = new StatisticsDisplay();
-  const forecastDisplay = new ForecastDisplay();
+  const forecastDisplay = new ForecastDisplay({ fields: ['pressure'] }); // Pressure changes only
   const heatIndexDisplay = new HeatIndexDisplay();
 
   // Register observers with the subject
@@ -681,10 +6413,27 @@ function clientCode() {
   weatherStation.attach(forecastDisplay);
   weatherStation.attach(heatIndexDisplay);
 
-  // Simulate weather changes
+  // Simulate weather changes, one reading per hour
+  const hour = 60 * 60 * 1000;
   weatherStation.setMeasurements(27, 65, 30.4);
+  weatherClock.advance(hour);
   weatherStation.setMeasurements(28, 70, 29.2);
+  weatherClock.advance(hour);
   weatherStation.setMeasurements(26, 90, 29.2);
+  weatherClock.advance(hour);
+
+  // A failing display doesn't stop the others from being updated
+  console.log('\nAttaching a broken display...');
+  const brokenDisplay = {
+    displayName: 'Broken Display',
+    update() {
+      throw new Error('Display disconnected');
+    },
+  };
+  weatherStation.attach(brokenDisplay);
+  weatherStation.setMeasurements(26, 85, 29.5);
+  weatherClock.advance(hour);
+  weatherStation.detach(brokenDisplay);
 
   // Detach an observer
   console.log('\nDetaching the forecast display...');
@@ -693,6 +6442,102 @@ function clientCode() {
   // One more weather change
   weatherStation.setMeasurements(25, 80, 30.1);
 
+  // The same readings for imperial and metric users
+  console.log('\nDisplays in different units and locales...');
+  const imperialDisplay = new CurrentConditionsDisplay({ units: { temperature: 'F' } });
+  const metricHeatIndex = new HeatIndexDisplay({ locale: 'de-DE' });
+  const metricForecast = new ForecastDisplay({ units: { pressure: 'hPa' }, locale: 'de-DE' });
+  weatherStation.attach(imperialDisplay);
+  weatherStation.attach(metricHeatIndex);
+  weatherStation.attach(metricForecast);
+  weatherStation.setMeasurements(30, 60, 29.9);
+  weatherStation.detach(imperialDisplay);
+  weatherStation.detach(metricHeatIndex);
+  weatherStation.detach(metricForecast);
+
+  // A full weather panel from derived metrics
+  console.log('\nDerived metrics panel...');
+  const panel = {
+    dewPoint: new DewPointDisplay(),
+    absoluteHumidity: new AbsoluteHumidityDisplay(),
+    windChill: new WindChillDisplay(),
+    comfort: new ComfortIndexDisplay(),
+  };
+  Object.values(panel).forEach((display) => weatherStation.attach(display));
+  weatherStation.setMeasurements(5, 70, 30.0, 25);
+  weatherStation.setMeasurements(32, 75, 29.9, 5);
+  const panelValues = Object.fromEntries(
+    Object.entries(panel).map(([name, display]) => [name, display.getValues()])
+  );
+  console.log('Weather panel values:', panelValues);
+  Object.values(panel).forEach((display) => weatherStation.detach(display));
+
+  // Replay recorded field data from files and a local HTTP endpoint
+  console.log('\nSensor ingestion...');
+  const fieldStation = new WeatherStation({ units: { pressure: 'hPa' } });
+  fieldStation.attach(new CurrentConditionsDisplay());
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-'));
+  try {
+    const csvFile = path.join(dataDir, 'field.csv');
+    fs.writeFileSync(
+      csvFile,
+      [
+        'timestamp,temperature,humidity,pressure,windSpeed',
+        '2024-06-01T06:00:00Z,14.2,88,1012.4,6',
+        '2024-06-01T07:00:00Z,16.8,81,1012.9,9',
+        '2024-06-01T08:00:00Z,160.5,79,1013.1,11',
+        'yesterday,18.0,75,1013.0,12',
+        '2024-06-01T09:00:00Z,19.4,72,1013.6',
+      ].join('\n')
+    );
+    // An hour between rows passes in 100ms
+    const csvSource = new CsvReplaySource(fieldStation, csvFile, { speed: 36000 });
+    console.log('CSV replay summary:', await csvSource.replay());
+
+    const ndjsonFile = path.join(dataDir, 'field.ndjson');
+    fs.writeFileSync(ndjsonFile, '{"temperature":21.0,"humidity":65,"pressure":1014.2}\n');
+    const tailSource = new NdjsonTailSource(fieldStation, ndjsonFile);
+    await tailSource.start();
+    fs.appendFileSync(ndjsonFile, '{"temperature":22.5,"humidity":140,"pressure":1014.0}\n');
+    fs.appendFileSync(
+      ndjsonFile,
+      'not json\n{"temperature":23.1,"humidity":60,"pressure":1013.8}\n'
+    );
+    await tailSource.poll();
+    tailSource.stop();
+    console.log('NDJSON tail summary:', tailSource.getSummary());
+
+    const httpSource = new HttpIngestSource(fieldStation);
+    const { port } = await httpSource.listen();
+    const response = await fetch(`http://127.0.0.1:${port}/readings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify([
+        { temperature: 24.0, humidity: 58, pressure: 1013.2, windSpeed: 14 },
+        { temperature: 24.3, humidity: 57 },
+      ]),
+    });
+    console.log(`HTTP ingest response ${response.status}:`, await response.json());
+    await httpSource.close();
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  // High-frequency sensor with per-display delivery policies on a manual clock
+  console.log('\nHigh-frequency sensor with delivery policies...');
+  const clock = new ManualClock();
+  const sensorStation = new WeatherStation({ clock });
+  const batchedStatistics = new StatisticsDisplay({ windowDuration: 60 * 60 * 1000 }); // Last hour
+  const throttledConditions = new CurrentConditionsDisplay();
+  sensorStation.attach(batchedStatistics, { mode: 'batch', size: 5 });
+  sensorStation.attach(throttledConditions, { mode: 'throttle', interval: 1000 });
+
+  for (let reading = 0; reading < 5; reading++) {
+    sensorStation.setMeasurements(20 + reading, 50, 30);
+    clock.advance(250); // A reading every 250 ms
+  }
+  clock.advance(1000);
+
   // Stock Market Example
   console.log('\n\nSTOCK MARKET EXAMPLE');
   console.log('===================');
@@ -725,15 +6570,265 @@ function clientCode() {
   stockMarket.setStockPrice('AAPL', 205.3); // Above threshold
   stockMarket.setStockPrice('GOOGL', 128.4); // Below threshold
 
+  // Quotes, trades and one-minute candles on a manual clock
+  console.log('\nOrder book and trades...');
+  const marketClock = new ManualClock(Date.UTC(2024, 5, 3, 13, 30));
+  const tradingMarket = new StockMarket({ clock: marketClock, candleInterval: 60000 });
+  const tape = new TickerTape();
+  const priceBoard = new StockDashboard('Price Board');
+  tradingMarket.attach(tape, ['AAPL:quote', 'AAPL:trade', '*:candle', '*:session']);
+  tradingMarket.attach(priceBoard, ['AAPL', 'MSFT']);
+
+  tradingMarket.openDay();
+  tradingMarket.setQuote('AAPL', { bid: 189.9, bidSize: 300, ask: 190.1, askSize: 200 });
+  tradingMarket.updateOrderBook('AAPL', 'bid', 189.8, 500); // Below the best bid, no quote
+  tradingMarket.recordTrade('AAPL', 190.1, 200);
+  tradingMarket.recordTrade('MSFT', 415.2, 50);
+  marketClock.advance(30000);
+  tradingMarket.updateOrderBook('AAPL', 'ask', 190.1, 0); // Best ask taken out
+  tradingMarket.recordTrade('AAPL', 190.4, 100);
+  marketClock.advance(45000);
+  tradingMarket.recordTrade('AAPL', 189.7, 300); // Next minute: the first candle closes
+  tradingMarket.closeDay();
+  console.log('AAPL session:', tradingMarket.getSession('AAPL'));
+
+  // A portfolio only follows the symbols it holds
+  console.log('\nPortfolio...');
+  const portfolio = new PortfolioObserver({ name: 'Retirement Portfolio' });
+  portfolio.buy('AAPL', 100, 185, marketClock.now());
+  portfolio.buy('AAPL', 50, 192, marketClock.now());
+  portfolio.buy('MSFT', 20, 400, marketClock.now());
+  portfolio.subscribe(tradingMarket);
+  tradingMarket.openDay();
+  tradingMarket.recordTrade('AAPL', 193.2, 400);
+  tradingMarket.recordTrade('GOOGL', 171.1, 100); // Not held, the portfolio isn't told
+  tradingMarket.recordTrade('MSFT', 418.6, 120);
+  portfolio.sell('AAPL', 60, 193.5, { lotMethod: 'LIFO', timestamp: marketClock.now() });
+  tradingMarket.recordTrade('AAPL', 194, 250);
+  tradingMarket.closeDay();
+  const { positions, ...totals } = portfolio.getSummary();
+  positions.forEach((position) =>
+    console.log(
+      `- ${position.symbol}: ${position.quantity} shares, avg cost $${position.averageCost.toFixed(
+        2
+      )}, ${position.allocation.toFixed(1)}% allocation`
+    )
+  );
+  console.log('Portfolio totals:', totals);
+
+  // Alert rules defined as JSON, delivered to the console, a file and an event bus
+  console.log('\nAlert rules...');
+  const minute = 60 * 1000;
+  const ruleClock = new ManualClock();
+  const ruleMarket = new StockMarket({ clock: ruleClock });
+  const alertBus = new EventEmitter();
+  alertBus.on('stock-alert', (alert) =>
+    console.log(`Alert bus: #${alert.id} from ${alert.ruleId}`)
+  );
+  const alertFile = path.join(os.tmpdir(), `stock-alerts-${process.pid}.ndjson`);
+  const ruleAlerts = new StockAlertService({
+    sinks: [new ConsoleAlertSink(), new FileAlertSink(alertFile), new EmitterAlertSink(alertBus)],
+  });
+  ruleAlerts.loadRules(
+    JSON.stringify([
+      {
+        id: 'aapl-jump',
+        when: { type: 'percentMove', symbol: 'AAPL', percent: 2, window: 5 * minute },
+        cooldown: 10 * minute,
+      },
+      {
+        id: 'msft-ma',
+        when: { type: 'movingAverageCross', symbol: 'MSFT', period: 3 },
+        untilAcknowledged: true,
+      },
+      {
+        id: 'rotation',
+        when: {
+          type: 'and',
+          conditions: [
+            { type: 'threshold', symbol: 'AAPL', above: 195 },
+            { type: 'threshold', symbol: 'MSFT', below: 410 },
+          ],
+        },
+        cooldown: 30 * minute,
+      },
+    ])
+  );
+  ruleMarket.attach(ruleAlerts, ruleAlerts.getSymbols());
+
+  [
+    ['AAPL', 190],
+    ['MSFT', 420],
+    ['MSFT', 418],
+    ['MSFT', 416],
+    ['AAPL', 194.2], // +2.2% within five minutes
+    ['MSFT', 421], // Crosses above its average
+    ['AAPL', 195.5], // Still up, but the jump rule is cooling down
+    ['MSFT', 409], // Crosses below, held back until the first MSFT alert is acknowledged
+  ].forEach(([symbol, price]) => {
+    ruleClock.advance(minute);
+    ruleMarket.setStockPrice(symbol, price);
+  });
+  ruleAlerts.acknowledge(ruleAlerts.getActiveAlerts().find((a) => a.ruleId === 'msft-ma').id);
+  ruleClock.advance(minute);
+  ruleMarket.setStockPrice('MSFT', 425); // Acknowledged, so the next cross alerts again
+  console.log(
+    'Alerts written to file:',
+    fs.readFileSync(alertFile, 'utf8').trim().split('\n').length
+  );
+  fs.rmSync(alertFile, { force: true });
+
+  // Subscriptions and alert rules survive a restart
+  console.log('\nSubscription persistence...');
+  const subscriptionFile = path.join(os.tmpdir(), `stock-subscriptions-${process.pid}.json`);
+  const subscriptionStore = new SubscriptionStore(subscriptionFile);
+  ruleMarket.attach(new StockDashboard('Ops Dashboard'), ['AAPL', 'MSFT'], { id: 'ops-dashboard' });
+  subscriptionStore.save(ruleMarket);
+
+  // After a restart the observers are new objects, matched to their subscriptions by id
+  const restartedMarket = new StockMarket({ clock: ruleClock });
+  const restoredAlerts = new StockAlertService();
+  subscriptionStore.restore(restartedMarket, {
+    'stock-alert-service': restoredAlerts,
+    'ops-dashboard': new StockDashboard('Ops Dashboard'),
+  });
+  console.log('Restored subscriptions:', restartedMarket.getSubscriptions());
+  console.log(
+    'Restored rules:',
+    restoredAlerts.getRules().map((rule) => rule.id),
+    'with',
+    restoredAlerts.getActiveAlerts().length,
+    'unacknowledged alerts'
+  );
+  fs.rmSync(subscriptionFile, { force: true });
+
+  // Late subscribers catch up from the price history, and recorded prices drive a backtest
+  console.log('\nPrice history and backtest...');
+  const historyFile = path.join(os.tmpdir(), `stock-prices-${process.pid}.ndjson`);
+  const historyClock = new ManualClock(Date.UTC(2024, 5, 3, 13, 30));
+  const recordingMarket = new StockMarket({
+    clock: historyClock,
+    historyStore: new FilePriceStore(historyFile),
+  });
+  [
+    ['AAPL', 190],
+    ['MSFT', 415],
+    ['AAPL', 191.5],
+    ['AAPL', 195.2],
+    ['MSFT', 417],
+  ].forEach(([symbol, price]) => {
+    historyClock.advance(minute);
+    recordingMarket.setStockPrice(symbol, price);
+  });
+  const lateDashboard = new StockDashboard('Late Dashboard');
+  recordingMarket.attach(lateDashboard, ['AAPL', 'MSFT'], { replay: 'snapshot' });
+  recordingMarket.attach(new StockDashboard('AAPL Chart'), ['AAPL'], { replay: 'full' });
+
+  // One recorded minute passes in 10ms, on a market of the backtest's own
+  const backtestPrices = new MemoryPriceStore({ capacity: 3 });
+  const backtestRunner = new BacktestRunner(historyFile, {
+    speed: 6000,
+    historyStore: backtestPrices,
+  });
+  const backtestAlerts = new StockAlertService();
+  backtestAlerts.addRule({
+    id: 'aapl-breakout',
+    when: { type: 'percentMove', symbol: 'AAPL', percent: 2, window: 5 * minute },
+  });
+  backtestRunner.market.attach(backtestAlerts, backtestAlerts.getSymbols());
+  const backtest = await backtestRunner.run();
+  console.log('Backtest result:', backtest);
+  console.log(
+    'Last backtest prices kept in memory:',
+    backtestPrices.query().map((record) => `${record.symbol} $${record.price}`)
+  );
+  console.log(`Recorded history after the backtest: ${recordingMarket.getHistory().length}`);
+  fs.rmSync(historyFile, { force: true });
+
+  // Reactive Streams Example
+  console.log('\n\nREACTIVE STREAMS EXAMPLE');
+  console.log('========================');
+
+  const streamClock = new ManualClock();
+  const streamStation = new WeatherStation({ clock: streamClock });
+  const streamMarket = new StockMarket({ clock: streamClock });
+  const prices = (symbol) => streamMarket.toObservable([symbol]).map((event) => event.data);
+  const temperatures = streamStation.toObservable().map((reading) => reading.temperature);
+  const crash = prices('AAPL').filter((price) => price < 150);
+
+  // Running temperature range, ignoring repeated readings
+  const rangeSubscription = temperatures
+    .distinctUntilChanged()
+    .scan(
+      (range, temperature) => ({
+        min: Math.min(range.min, temperature),
+        max: Math.max(range.max, temperature),
+      }),
+      { min: Infinity, max: -Infinity }
+    )
+    .subscribe((range) => console.log(`Temperature range: ${range.min}°C to ${range.max}°C`));
+
+  // Price ratio whenever either stock moves
+  const ratioSubscription = Observable.combineLatest(prices('MSFT'), prices('AAPL'))
+    .map(([msft, aapl]) => (msft / aapl).toFixed(3))
+    .subscribe((ratio) => console.log(`MSFT/AAPL ratio: ${ratio}`));
+
+  // One settled feed of both sources until AAPL crashes
+  Observable.merge(
+    prices('AAPL').map((price) => `AAPL $${price}`),
+    temperatures.map((temperature) => `${temperature}°C`)
+  )
+    .debounceTime(1000, streamClock)
+    .takeUntil(crash)
+    .subscribe({
+      next: (latest) => console.log(`Settled feed: ${latest}`),
+      complete: () => console.log('Settled feed: completed, AAPL crashed'),
+    });
+
+  // A throwing operator ends the stream through the error channel
+  temperatures
+    .map((temperature) => {
+      if (temperature > 50) throw new Error(`Implausible temperature ${temperature}°C`);
+      return temperature;
+    })
+    .subscribe({
+      next: () => {},
+      error: (error) => console.log(`Sensor check failed: ${error.message}`),
+    });
+
+  streamStation.setMeasurements(21, 60, 30.1);
+  streamMarket.setStockPrice('AAPL', 190);
+  streamMarket.setStockPrice('MSFT', 415);
+  streamStation.setMeasurements(21, 62, 30.1); // Same temperature, the range stays quiet
+  streamClock.advance(1000);
+  streamMarket.setStockPrice('AAPL', 188.5);
+  streamStation.setMeasurements(72, 62, 30.0);
+  streamClock.advance(1000);
+  streamMarket.setStockPrice('AAPL', 142);
+  rangeSubscription.unsubscribe();
+  ratioSubscription.unsubscribe();
+
   // UI Event System Example
   console.log('\n\nUI EVENT SYSTEM EXAMPLE');
   console.log('======================');
 
   // Create UI
-  const ui = new UserInterface();
+  const ui = new UserInterface({ captureStacks: true }); // For the listener report below
   ui.addComponent('saveBtn', 'button');
   ui.addComponent('cancelBtn', 'button');
-  ui.addComponent('userForm', 'form');
+  ui.addComponent('userForm', 'form', {
+    events: {
+      'form-submit': {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          email: { type: 'string' },
+          role: { type: 'string', enum: ['admin', 'editor', 'viewer'] },
+        },
+      },
+    },
+  });
 
   // Set up event handlers
   const saveBtnListener = ui.on('button-click', (buttonId) => {
@@ -748,10 +6843,12 @@ function clientCode() {
     }
   });
 
-  ui.on('form-submit', (data) => {
+  ui.on('form-submit', async (data) => {
     console.log('Form submit handler: Processing user data:', data.name);
     if (data.email) {
-      console.log(`Form submit handler: Sending confirmation email to ${data.email}`);
+      // Simulate a slow call to a mail service
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      console.log(`Form submit handler: Sent confirmation email to ${data.email}`);
     }
   });
 
@@ -764,24 +6861,289 @@ function clientCode() {
   saveBtnListener();
   ui.clickButton('saveBtn'); // This won't trigger our handler anymore
 
-  // Submit a form
-  ui.submitForm('userForm', { name: 'John Doe', email: 'john@example.com' });
+  // Submit a form and wait for the async handlers to finish
+  await ui.submitForm('userForm', { name: 'John Doe', email: 'john@example.com' });
+
+  // Malformed payloads are caught by the schema before any handler runs
+  console.log('\nSubmitting malformed form data...');
+  await ui.submitForm('userForm', { name: 42, role: 'owner' });
+
+  // Validation runs first thanks to its priority and can veto the other handlers
+  console.log('\nAdding a form validator...');
+  ui.addFormValidator((data) => (data.email ? null : 'email is required'));
+  ui.on('form-submit', () => console.log('Audit handler: Logged submission'), { priority: 10 });
+  await ui.submitForm('userForm', { name: 'Jane Doe' });
+
+  // A throwing handler is reported on the error channel, the other handlers still run
+  ui.eventEmitter.on('error', (error, { eventName }) => {
+    console.log(`Error handler: A ${eventName} listener failed: ${error.message}`);
+  });
+  const faultyListener = ui.on('button-click', () => {
+    throw new Error('Handler crashed');
+  });
+  ui.clickButton('cancelBtn');
+  faultyListener();
+
+  // Dashboards that keep subscribing without unsubscribing trip the leak warning
+  console.log('\nSubscribing dashboard widgets without unsubscribing...');
+  ui.setMaxListeners(5, 'button-click');
+  for (let widget = 1; widget <= 4; widget++) {
+    ui.on('button-click', () => {});
+  }
+  for (const { eventName, listeners } of ui.getListenerInfo()) {
+    console.log(`UI listeners for ${eventName}: ${listeners.length}`);
+    listeners.forEach((listener) => console.log(`  - ${listener.name} ${listener.registeredAt}`));
+  }
+
+  // One-off listener
+  ui.eventEmitter.once('button-click', (buttonId) => {
+    console.log(`Once handler: First click on ${buttonId} recorded`);
+  });
+  ui.clickButton('cancelBtn');
+  ui.clickButton('cancelBtn'); // The once handler is gone now
+
+  // Component state bound to a model, with a computed total
+  console.log('\nComponent state and data binding:');
+  const order = new Model({ quantity: 1, unitPrice: 12.5 });
+  order.computed('total', ['quantity', 'unitPrice'], (quantity, unitPrice) => quantity * unitPrice);
+  ui.addComponent('quantityField', 'field');
+  ui.addComponent('totalLabel', 'label');
+  // The higher priority logs each change before the bindings react to it
+  const stopStateLog = ui.on(
+    'state-change:*',
+    ({ componentId, changed, state }) => {
+      const values = changed.map((key) => `${key}=${JSON.stringify(state[key])}`);
+      console.log(`UI: ${componentId} state changed: ${values.join(', ')}`);
+    },
+    { priority: 1 }
+  );
+  ui.bind('quantityField', order, 'quantity', { format: String, parse: Number });
+  ui.bind('totalLabel', order, 'total', {
+    stateKey: 'text',
+    format: (total) => `$${total.toFixed(2)}`,
+  });
+  ui.setState('quantityField', { value: '3' }); // Typing in the field updates the model
+  order.set('unitPrice', 10); // Changing the model updates the label
+  console.log('Order model:', order.toJSON());
+  stopStateLog();
+
+  // A component tree with DOM-style propagation, driven by a scripted user
+  console.log('\nComponent tree and simulated interaction:');
+  ui.addComponent('signupForm', 'form');
+  ui.addComponent('nameInput', 'input', { parent: 'signupForm', state: { name: 'name' } });
+  ui.addComponent('emailInput', 'input', { parent: 'signupForm', state: { name: 'email' } });
+  ui.addComponent('roleSelect', 'select', {
+    parent: 'signupForm',
+    state: { name: 'role', options: ['admin', 'editor', 'viewer'], value: 'viewer' },
+  });
+  ui.addComponent('termsBox', 'checkbox', { parent: 'signupForm', state: { name: 'terms' } });
+  ui.addComponent('teamList', 'list', {
+    parent: 'signupForm',
+    state: { name: 'team', items: ['Platform', 'Growth'] },
+  });
+
+  const phaseNames = ['none', 'capturing', 'at target', 'bubbling'];
+  const logPhase = ({ target, type, eventPhase }) =>
+    console.log(`UI: signupForm saw ${target} ${type} while ${phaseNames[eventPhase]}`);
+  ui.addEventListener('signupForm', 'change', logPhase, { capture: true });
+  ui.addEventListener('signupForm', 'change', logPhase);
+  ui.addEventListener('nameInput', 'input', (event) => {
+    if (/\d/.test(event.detail)) {
+      console.log(`UI: Rejected ${JSON.stringify(event.detail)}, names have no digits`);
+      event.preventDefault();
+    }
+  });
+  // The form won't see the checkbox change bubble up
+  ui.addEventListener('termsBox', 'change', (event) => event.stopPropagation());
+  ui.addEventListener('teamList', 'select', (event) => {
+    console.log(`UI: Picked team ${event.detail.item}`);
+  });
+
+  const simulator = new InteractionSimulator(ui);
+  const recorded = await simulator.run([
+    ['type', 'nameInput', 'Ada1'],
+    ['type', 'emailInput', 'ada@example.com'],
+    ['selectOption', 'roleSelect', 'editor'],
+    ['check', 'termsBox'],
+    ['selectItem', 'teamList', 1],
+    ['submit', 'signupForm'],
+  ]);
+  const eventCounts = {};
+  recorded.forEach(({ type, defaultPrevented }) => {
+    const key = defaultPrevented ? `${type} (prevented)` : type;
+    eventCounts[key] = (eventCounts[key] || 0) + 1;
+  });
+  console.log('Recorded events:', eventCounts);
+
+  // Namespaced events with wildcard subscriptions
+  console.log('\nNamespaced events with wildcards:');
+  const bus = new EventEmitter();
+  bus.on(
+    'button:*:*',
+    (payload, event) => console.log(`Wildcard handler: ${event.name} matched ${event.pattern}`),
+    { withEvent: true }
+  );
+  bus.on('form:**', (payload, event) => console.log(`Form handler: ${event.name} with`, payload), {
+    withEvent: true,
+  });
+  bus.on('form:submit:userForm', (payload) => {
+    console.log('Exact handler: userForm submitted by', payload.name);
+  });
+
+  bus.emit('button:click:saveBtn', {});
+  bus.emit('form:submit:userForm', { name: 'John Doe' });
+  bus.emit('button:click'); // Too few segments for button:*:*
+  console.log(`Listeners for form:submit:userForm: ${bus.listenerCount('form:submit:userForm')}`);
+
+  // A late subscriber catches up from the history buffer
+  console.log('\nReplaying event history:');
+  const weatherBus = new EventEmitter({ historySize: 20 });
+  weatherBus.emit('weather:measurement', { temperature: 27, humidity: 65 });
+  weatherBus.emit('weather:measurement', { temperature: 28, humidity: 70 });
+  weatherBus.on(
+    'weather:*',
+    (reading, event) => {
+      const source = event.replayed ? 'replayed' : 'live';
+      console.log(`Late dashboard (${source}): ${reading.temperature}°C`);
+    },
+    { replay: 1, withEvent: true }
+  );
+  weatherBus.emit('weather:measurement', { temperature: 26, humidity: 90 });
+
+  // Reproduce the same sequence on a fresh emitter
+  const exported = weatherBus.exportHistory();
+  const reproduction = new EventEmitter();
+  reproduction.on('weather:measurement', (reading) => {
+    console.log(`Reproduction: ${reading.temperature}°C / ${reading.humidity}%`);
+  });
+  console.log(`Re-emitted ${reproduction.importHistory(exported)} events`);
+
+  // Cross-Process Event Bridge Example
+  console.log('\n\nCROSS-PROCESS EVENT BRIDGE EXAMPLE');
+  console.log('==================================');
+
+  // Bridge to a child process over its IPC channel
+  const child = fork(__filename, [], { env: { ...process.env, OBSERVER_BRIDGE_CHILD: '1' } });
+  const parentBus = new EventEmitter();
+  const parentBridge = new EventBridge(parentBus, { originId: 'parent' });
+  parentBridge.addTransport(new ProcessTransport(child));
+
+  const acknowledged = new Promise((resolve) => {
+    parentBus.once('weather:ack', (ack) => {
+      console.log(`Parent: Child ${ack.pid} acknowledged ${ack.temperature}°C`);
+      resolve();
+    });
+  });
+  parentBus.emit('weather:measurement', { temperature: 24, humidity: 60 });
+  await acknowledged;
+
+  await parentBridge.close();
+  child.disconnect();
+
+  // Two emitters sharing a local TCP socket, no broker involved
+  const hubBus = new EventEmitter();
+  const hubTransport = new SocketServerTransport({ port: 0 });
+  const { port } = await hubTransport.listen();
+  const hubBridge = new EventBridge(hubBus, { originId: 'hub' }).addTransport(hubTransport);
+
+  const clientBus = new EventEmitter();
+  const clientTransport = new SocketTransport({ port }, { reconnect: { retries: 5 } });
+  const clientBridge = new EventBridge(clientBus, { originId: 'client' });
+  clientBridge.addTransport(clientTransport.connect());
+
+  const received = new Promise((resolve) => {
+    hubBus.once('stock:price', (quote) => {
+      console.log(`Hub: Received ${quote.symbol} at $${quote.price} over the socket`);
+      resolve();
+    });
+  });
+  clientBus.emit('stock:price', { symbol: 'AAPL', price: 182.5 }); // Queued until connected
+  await received;
+
+  await clientBridge.close();
+  await hubBridge.close();
+}
+
+/**
+ * Child side of the event bridge example, run when the client code forks this file
+ */
+function bridgeChildCode() {
+  const childBus = new EventEmitter();
+  const childBridge = new EventBridge(childBus, { originId: `child-${process.pid}` });
+  childBridge.addTransport(new ProcessTransport(process));
+
+  childBus.on('weather:measurement', (reading) => {
+    console.log(`Child ${process.pid}: Received ${reading.temperature}°C from the parent`);
+    childBus.emit('weather:ack', { pid: process.pid, temperature: reading.temperature });
+  });
+
+  process.on('disconnect', () => childBridge.close());
 }
 
-// Run the client code
-clientCode();
+// Run the client code, or the child side of the bridge example when forked by it.
+// Nothing runs when the file is only required for its exports.
+if (require.main === module) {
+  if (process.env.OBSERVER_BRIDGE_CHILD) {
+    bridgeChildCode();
+  } else {
+    (async () => {
+      try {
+        await clientCode();
+      } catch (error) {
+        console.error('Error in client code execution:', error);
+      }
+    })();
+  }
+}
 
 module.exports = {
   Subject,
   Observer,
+  Subscriber,
+  Observable,
+  ManualClock,
   WeatherStation,
+  convertUnit,
+  formatMeasurement,
+  WeatherDisplay,
   CurrentConditionsDisplay,
+  RollingWindow,
   StatisticsDisplay,
+  PressureTrendForecaster,
   ForecastDisplay,
   HeatIndexDisplay,
+  DewPointDisplay,
+  AbsoluteHumidityDisplay,
+  WindChillDisplay,
+  ComfortIndexDisplay,
+  ChangeRecord,
   StockMarket,
   StockDashboard,
+  TickerTape,
+  PortfolioObserver,
   StockAlertService,
+  ConsoleAlertSink,
+  FileAlertSink,
+  EmitterAlertSink,
+  SubscriptionStore,
+  OrderBook,
+  MemoryPriceStore,
+  FilePriceStore,
+  BacktestRunner,
+  EmitterEvent,
   EventEmitter,
+  MessagePortTransport,
+  ProcessTransport,
+  SocketTransport,
+  SocketServerTransport,
+  EventBridge,
+  SensorSource,
+  CsvReplaySource,
+  NdjsonTailSource,
+  HttpIngestSource,
+  validatePayload,
+  Model,
+  UiEvent,
   UserInterface,
+  InteractionSimulator,
 };